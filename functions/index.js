@@ -0,0 +1,138 @@
+import { initializeApp } from 'firebase-admin/app';
+import { getDatabase } from 'firebase-admin/database';
+import { onValueWritten } from 'firebase-functions/v2/database';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { defineInt } from 'firebase-functions/params';
+import { logger } from 'firebase-functions';
+import { verifyMoves } from './shared/moves.js';
+import { cardValue } from './shared/cards.js';
+import { formatFraction } from './shared/rational.js';
+import { dealCards } from './shared/dealer.js';
+import { recordResult } from './shared/tournament.js';
+
+initializeApp();
+
+// Minutes before a room is deleted: any room with no round started or won,
+// and sooner for a room nobody is connected to
+const ROOM_TTL_MINUTES = defineInt('ROOM_TTL_MINUTES', { default: 24 * 60 });
+const EMPTY_ROOM_TTL_MINUTES = defineInt('EMPTY_ROOM_TTL_MINUTES', { default: 30 });
+
+const MINUTE = 60 * 1000;
+
+// Card ids and values, to compare a stored hand with a fresh deal
+const handKey = (cards) => (cards || []).map(card => `${card.id}:${formatFraction(cardValue(card))}`).join();
+
+// Award a round only after replaying the claimed moves against the dealt cards.
+// Clients can't write `winner`, `winTime` or scores themselves (see
+// database.rules.json); this function runs with admin access.
+export const verifyWinClaim = onValueWritten('/rooms/{roomId}/claims/{playerId}', async (event) => {
+  const claim = event.data.after.val();
+  if (!claim || claim.status) return; // Deleted, or already decided
+
+  const { roomId, playerId } = event.params;
+  const claimRef = event.data.after.ref;
+  const roomRef = getDatabase().ref(`rooms/${roomId}`);
+
+  let rejection = null;
+  const result = await roomRef.transaction((room) => {
+    rejection = null;
+    if (!room) return room;
+    if (room.roundNumber !== claim.round || !room.players?.[playerId]) {
+      rejection = 'Round is over';
+      return;
+    }
+
+    // The host writes originalCards, so check them against the deal the
+    // room's seed gives for this round
+    const dealt = dealCards(room.seed, room.roundNumber, room.difficulty, room.rules);
+    if (!dealt || handKey(dealt) !== handKey(room.originalCards)) {
+      rejection = 'Cards do not match the deal';
+      return;
+    }
+
+    // submittedAt is the database's own clock at the time of the write (see
+    // database.rules.json), so a slow function start doesn't count against it
+    if (room.clockDeadline && claim.submittedAt > room.clockDeadline) {
+      rejection = 'Time was up';
+      return;
+    }
+
+    const check = verifyMoves(room.originalCards, claim.moves, room.rules?.target ?? 24, room.rules?.operations || []);
+    if (!check.valid) {
+      rejection = check.error;
+      return;
+    }
+
+    if (room.winner) return; // Someone else's claim got there first
+    room.winner = playerId;
+    room.winTime = claim.submittedAt;
+    room.winningMoves = claim.moves; // Kept for the post-round replay
+    room.lastActivityAt = Date.now();
+    room.players[playerId].score = (room.players[playerId].score || 0) + 1;
+
+    // Rooms with a pointsToWin rule (including every tournament match) end
+    // when a player reaches it
+    const pointsToWin = room.rules?.pointsToWin;
+    if (pointsToWin && room.players[playerId].score >= pointsToWin) {
+      room.matchWinner = playerId;
+    }
+    return room;
+  });
+
+  if (rejection) {
+    await claimRef.update({ status: 'rejected', reason: rejection });
+  } else {
+    await claimRef.update({ status: result.committed ? 'accepted' : 'late' });
+  }
+
+  const room = result.snapshot.val();
+  if (result.committed && room?.matchWinner === playerId && room.tournamentId) {
+    await recordMatch(roomId, room);
+  }
+});
+
+// Report a finished match room to its tournament, which moves the winner on.
+// Ignored unless the match was opened in this room and the winner is one of
+// its two players, so a hand-made room can't report a result.
+async function recordMatch(roomId, room) {
+  const scores = Object.fromEntries(Object.values(room.players).map(p => [p.id, p.score || 0]));
+  await getDatabase().ref(`tournaments/${room.tournamentId}`).transaction((tournament) => {
+    if (!tournament) return tournament;
+    const match = tournament.matches?.[room.matchId];
+    if (match?.roomId !== roomId || ![match.playerA, match.playerB].includes(room.matchWinner)) {
+      logger.warn(`Ignored result for ${room.tournamentId}/${room.matchId} from room ${roomId}`);
+      return; // Abort
+    }
+    return recordResult(tournament, room.matchId, room.matchWinner, scores);
+  });
+}
+
+// Last round start or win, falling back to creation time for older rooms
+const lastActivity = (room) => room.lastActivityAt || room.createdAt || 0;
+
+function isStale(room, now) {
+  const players = Object.values(room.players || {});
+  if (now - lastActivity(room) > ROOM_TTL_MINUTES.value() * MINUTE) return true;
+  if (players.some(p => p.online !== false)) return false;
+
+  // Nobody connected - count from whoever left last
+  const lastSeen = Math.max(lastActivity(room), ...players.map(p => p.lastSeen || 0));
+  return now - lastSeen > EMPTY_ROOM_TTL_MINUTES.value() * MINUTE;
+}
+
+// Delete abandoned rooms. Only rooms idle for at least the shorter TTL are read.
+export const cleanupStaleRooms = onSchedule('every 15 minutes', async () => {
+  const now = Date.now();
+  const cutoff = now - Math.min(ROOM_TTL_MINUTES.value(), EMPTY_ROOM_TTL_MINUTES.value()) * MINUTE;
+  const roomsRef = getDatabase().ref('rooms');
+  const snapshot = await roomsRef.orderByChild('lastActivityAt').endAt(cutoff).get();
+
+  const updates = {};
+  snapshot.forEach((child) => {
+    if (isStale(child.val(), now)) updates[child.key] = null;
+  });
+
+  const count = Object.keys(updates).length;
+  if (count > 0) await roomsRef.update(updates);
+  logger.info(`Deleted ${count} stale rooms`);
+});
@@ -0,0 +1,26 @@
+// Builds src/puzzleCatalog.json: every solvable four-card rank multiset with
+// its solution count and difficulty. Run with `npm run catalog`.
+import { writeFileSync } from 'node:fs';
+import { CARD_NAMES } from '../src/cards.js';
+import { ratePuzzle } from '../src/difficulty.js';
+
+const puzzles = [];
+
+for (let a = 0; a < CARD_NAMES.length; a++) {
+  for (let b = a; b < CARD_NAMES.length; b++) {
+    for (let c = b; c < CARD_NAMES.length; c++) {
+      for (let d = c; d < CARD_NAMES.length; d++) {
+        const ranks = [a, b, c, d].map(i => CARD_NAMES[i]);
+        const rating = ratePuzzle(ranks.map(rank => ({ rank })));
+        if (rating.solutionCount > 0) {
+          puzzles.push({ ranks, solutions: rating.solutionCount, difficulty: rating.difficulty });
+        }
+      }
+    }
+  }
+}
+
+const output = new URL('../src/puzzleCatalog.json', import.meta.url);
+// One puzzle per line keeps diffs readable when the rating rules change
+writeFileSync(output, `[\n${puzzles.map(p => JSON.stringify(p)).join(',\n')}\n]\n`);
+console.log(`Wrote ${puzzles.length} puzzles to src/puzzleCatalog.json`);
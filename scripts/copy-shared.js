@@ -0,0 +1,16 @@
+// Copies the pure game modules the Cloud Functions share with the client into
+// functions/shared/. Runs before deploys and emulator starts.
+import { copyFileSync, mkdirSync } from 'node:fs';
+
+const SHARED_MODULES = [
+  'cards.js', 'rational.js', 'moves.js', 'tournament.js',
+  'dealer.js', 'puzzleCatalog.json', 'difficulty.js', 'random.js', 'rules.js', 'solver.js'
+];
+
+const target = new URL('../functions/shared/', import.meta.url);
+mkdirSync(target, { recursive: true });
+
+for (const file of SHARED_MODULES) {
+  copyFileSync(new URL(`../src/${file}`, import.meta.url), new URL(file, target));
+}
+console.log(`Copied ${SHARED_MODULES.length} modules to functions/shared/`);
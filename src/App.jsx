@@ -1,16 +1,42 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { database } from './firebase';
-import { ref, set, onValue, update, get, onDisconnect } from 'firebase/database';
-
-const EPSILON = 0.001;
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { database, auth } from './firebase';
+import { ref, set, onValue, update, get, onDisconnect, runTransaction, increment, serverTimestamp, query, orderByChild, equalTo } from 'firebase/database';
+import { onAuthStateChanged, signInAnonymously, linkWithPopup, signInWithCredential, signOut, GoogleAuthProvider } from 'firebase/auth';
+import { cardValue, CARD_NAMES } from './cards';
+import { DIFFICULTIES, DEFAULT_DIFFICULTY, DIFFICULTY_LABELS } from './difficulty';
+import { dealCards } from './dealer';
+import { createSeed, createRandom, shuffle } from './random';
+import { loadSession, saveSession, clearSession } from './session';
+import { DAILY_DIFFICULTIES, getDailyKey, dealDailyPuzzles, loadDailyResult, saveDailyResult, dailyShareGrid } from './daily';
+import { fraction, isZero, equals, formatFraction } from './rational';
+import { OPERATIONS, EXTRA_OPERATIONS, OPERATION_LABELS, MAX_UNARY_MOVES, applyOperation, isUnary, moveText, replayMoves } from './moves';
+import { canMake24, findSolutions } from './solver';
+import { parseExpression } from './expression';
+import { DEFAULT_RULES, TARGET_OPTIONS, CARD_COUNT_OPTIONS, POINTS_TO_WIN_OPTIONS, TIME_LIMIT_OPTIONS, withDefaults, extraOperations, validateRules, describeRules } from './rules';
+import { TOURNAMENT_FORMATS, FORMAT_LABELS, MIN_TOURNAMENT_PLAYERS, MAX_TOURNAMENT_PLAYERS, createBracket, readyMatches, isMatchReady, standings } from './tournament';
+import { waitingGroup, findMatch } from './matchmaking';
 
 // Game constants
 const CLOCK_DURATION = 60;
+const CLOCK_TICK_INTERVAL = 250;
+const REPLAY_STEP_INTERVAL = 1200; // Pause between moves in the solution replay
+const MAX_LISTED_SOLUTION_CARDS = 5; // Enumerating every solution gets slow beyond this
+const MAX_LISTED_EXTRA_SOLUTION_CARDS = 4; // ...and sooner with extra operations
 const COPY_FEEDBACK_DURATION = 2000;
 const FIREBASE_SYNC_DELAY = 800;
+const OFFLINE_GRACE_PERIOD = 120000; // How long a disconnected player keeps their seat
+const OFFLINE_SWEEP_INTERVAL = 10000;
+const HOST_OFFLINE_LIMIT = 15000; // How long an offline host keeps the role before it migrates
+const IDLE_ROUNDS_FOR_AWAY = 1; // Rounds without touching a card before showing as away
+const IDLE_ROUNDS_FOR_SIT_OUT = 3; // ...and before being sat out automatically
 const MAX_PLAYER_NAME_LENGTH = 30;
-const MAX_CARD_GENERATION_ATTEMPTS = 100;
+const MAX_TOURNAMENT_NAME_LENGTH = 40;
 const ROOM_CODE_LENGTH = 6;
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I
+const ROOM_CODE_ATTEMPTS = 5;
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 6;
+const SOLO_WINNER = 'solo'; // Solo and daily wins don't depend on being signed in
 
 // Validation helpers
 const validatePlayerName = (name) => {
@@ -23,18 +49,78 @@ const validatePlayerName = (name) => {
 
 const validateRoomCode = (code) => {
   const cleaned = code.trim().toUpperCase();
-  if (!/^[A-Z0-9]{6}$/.test(cleaned)) return { valid: false, error: 'Invalid room code' };
+  if (cleaned.length !== ROOM_CODE_LENGTH || !/^[A-Z0-9]+$/.test(cleaned)) return { valid: false, error: 'Invalid room code' };
   return { valid: true, code: cleaned };
 };
 
-// Card value mapping
-const CARD_VALUES = {
-  'A': 1, '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, '8': 8, '9': 9,
-  '10': 10, 'J': 11, 'Q': 12, 'K': 13
+const generateRoomCode = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(ROOM_CODE_LENGTH));
+  // 256 is a multiple of the alphabet size, so every character is equally likely
+  return Array.from(bytes, b => ROOM_CODE_ALPHABET[b % ROOM_CODE_ALPHABET.length]).join('');
+};
+
+// A player's node in rooms/<code>/players
+const newPlayer = (id, name, { score = 0, round = 1, joinedAt = Date.now() } = {}) => ({
+  id,
+  name,
+  score,
+  ready: false,
+  sittingOut: false,
+  online: true,
+  lastSeen: serverTimestamp(),
+  lastActiveRound: round,
+  joinedAt
+});
+
+// Shared end of a timed round, or null when the room has no time limit
+const roundDeadline = (rules, serverTimeOffset = 0) => {
+  const { timeLimit } = withDefaults(rules);
+  return timeLimit ? Date.now() + serverTimeOffset + timeLimit * 1000 : null;
+};
+
+// A fresh room on round 1. Quick matches and tournament matches start straight
+// away; other rooms wait for the host to press Start. A tournament match also
+// carries { tournamentId, matchId }. originalCards is null if the rules
+// can't produce a solvable hand.
+const newRoom = ({ host, players, difficulty, maxPlayers, rules = {}, isPublic = false, hideProgress = false, gameStarted = false, match = null }) => {
+  const seed = createSeed();
+  return {
+    host,
+    players: Object.fromEntries(players.map(p => [p.id, p])),
+    originalCards: dealCards(seed, 1, difficulty, rules),
+    seed,
+    difficulty,
+    rules,
+    maxPlayers,
+    isPublic,
+    hideProgress,
+    playerCount: players.length,
+    gameStarted,
+    winner: null,
+    roundNumber: 1,
+    clocked: false,
+    clockDeadline: gameStarted ? roundDeadline(rules) : null,
+    createdAt: Date.now(),
+    lastActivityAt: serverTimestamp(),
+    ...match
+  };
+};
+
+// Write a room (or tournament) under a fresh code. Each code is reserved with
+// a transaction so an existing entry is never overwritten. Returns the code,
+// or null if every attempt collided.
+const reserveCode = async (collection, value) => {
+  for (let attempt = 0; attempt < ROOM_CODE_ATTEMPTS; attempt++) {
+    const code = generateRoomCode();
+    const result = await runTransaction(ref(database, `${collection}/${code}`), (current) => {
+      if (current !== null) return; // Taken - abort and try another code
+      return value;
+    });
+    if (result.committed) return code;
+  }
+  return null;
 };
 
-const CARD_NAMES = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
-const SUITS = ['♠', '♥', '♦', '♣'];
 const SUIT_COLORS = {
   '♠': 'text-gray-800',
   '♣': 'text-gray-800',
@@ -42,108 +128,392 @@ const SUIT_COLORS = {
   '♦': 'text-red-600'
 };
 
-// 24 Game Solver
-function canMake24(cards) {
-  const nums = cards.map(c => CARD_VALUES[c.rank] || parseFloat(c.rank));
-  
-  function solve(numbers) {
-    if (numbers.length === 1) {
-      return Math.abs(numbers[0] - 24) < EPSILON;
-    }
-    
-    for (let i = 0; i < numbers.length; i++) {
-      for (let j = 0; j < numbers.length; j++) {
-        if (i === j) continue;
-        
-        const a = numbers[i];
-        const b = numbers[j];
-        const remaining = numbers.filter((_, idx) => idx !== i && idx !== j);
-        
-        const operations = [
-          a + b,
-          a - b,
-          a * b,
-          b !== 0 ? a / b : null
-        ];
-        
-        for (const result of operations) {
-          if (result !== null && solve([...remaining, result])) {
-            return true;
-          }
-        }
-      }
-    }
-    return false;
-  }
-  
-  return solve(nums);
+const SUIT_NAMES = {
+  '♠': 'spades',
+  '♣': 'clubs',
+  '♥': 'hearts',
+  '♦': 'diamonds'
+};
+
+// Keyboard play: the key for each operation, plus 'x' for multiply
+const OPERATION_KEYS = { '+': '+', '-': '-', '*': '*', '/': '/', '^': '^', sqrt: 's', '!': '!', concat: '|' };
+const KEY_OPERATIONS = {
+  ...Object.fromEntries(Object.entries(OPERATION_KEYS).map(([op, key]) => [key, op])),
+  x: '*'
+};
+
+const OPERATION_NAMES = {
+  '+': 'Add', '-': 'Subtract', '*': 'Multiply', '/': 'Divide',
+  '^': 'Power', sqrt: 'Square root', '!': 'Factorial', concat: 'Join digits'
+};
+
+// "Alex beat you by 0.4s!" for a player who finished after the recorded winner
+function lostRaceMessage(room, finishTime) {
+  const winnerName = room?.players?.[room?.winner]?.name || 'Someone';
+  if (!room?.winTime) return `${winnerName} already won! But you finished!`;
+  const margin = Math.max(0, finishTime - room.winTime) / 1000;
+  return `${winnerName} beat you by ${margin.toFixed(1)}s!`;
 }
 
-// Generate random cards with suits
-function generateCards() {
-  let attempts = 0;
-
-  while (attempts < MAX_CARD_GENERATION_ATTEMPTS) {
-    const cards = [];
-    for (let i = 0; i < 4; i++) {
-      const randomRank = CARD_NAMES[Math.floor(Math.random() * CARD_NAMES.length)];
-      const randomSuit = SUITS[Math.floor(Math.random() * SUITS.length)];
-      cards.push({ 
-        rank: randomRank, 
-        suit: randomSuit, 
-        id: `${randomRank}-${randomSuit}-${Date.now()}-${i}`,
-        isOriginal: true
-      });
-    }
-    
-    if (canMake24(cards)) {
-      return cards;
-    }
-    attempts++;
-  }
-  
-  // Fallback
-  return [
-    { rank: '3', suit: '♠', id: '3-♠-0', isOriginal: true },
-    { rank: '3', suit: '♥', id: '3-♥-1', isOriginal: true },
-    { rank: '8', suit: '♦', id: '8-♦-2', isOriginal: true },
-    { rank: '8', suit: '♣', id: '8-♣-3', isOriginal: true }
-  ];
+// Rounds that have gone by since the player last touched a card
+function idleRounds(player, roundNumber) {
+  const lastActive = player.lastActiveRound || roundNumber;
+  return Math.max(0, roundNumber - lastActive - 1);
 }
 
-// Fraction helper
-function toFraction(decimal) {
-  const tolerance = 1.0E-6;
-  let h1 = 1, h2 = 0, k1 = 0, k2 = 1;
-  let b = decimal;
-  
-  do {
-    let a = Math.floor(b);
-    let aux = h1;
-    h1 = a * h1 + h2;
-    h2 = aux;
-    aux = k1;
-    k1 = a * k1 + k2;
-    k2 = aux;
-    b = 1 / (b - a);
-  } while (Math.abs(decimal - h1 / k1) > decimal * tolerance);
-  
-  return { numerator: h1, denominator: k1 };
+// 'online', 'away' (connected but idle) or 'offline' (disconnected, seat held)
+function presenceOf(player, roundNumber) {
+  if (player.online === false) return 'offline';
+  if (!player.sittingOut && idleRounds(player, roundNumber) >= IDLE_ROUNDS_FOR_AWAY) return 'away';
+  return 'online';
+}
+
+// "3 left", "stuck" or "2 left ↺1" for the current round, null otherwise
+function progressText(progress, roundNumber) {
+  if (!progress || progress.round !== roundNumber) return null;
+  const status = progress.deadEnd ? 'stuck' : `${progress.cardsLeft} left`;
+  return progress.resets ? `${status} ↺${progress.resets}` : status;
+}
+
+const PRESENCE_STYLES = {
+  online: 'bg-green-500',
+  away: 'bg-yellow-400',
+  offline: 'bg-gray-300'
+};
+
+// Next host when the current one leaves: the longest-seated connected player
+function pickSuccessor(players, currentHost) {
+  return Object.values(players || {})
+    .filter(p => p.id !== currentHost && p.online !== false)
+    .sort((a, b) => (a.joinedAt || 0) - (b.joinedAt || 0) || a.id.localeCompare(b.id))[0] || null;
+}
+
+// Row of buttons for picking one value; labelFor turns a value into its label
+function ChoicePicker({ label, value, options, onChange, labelFor = String }) {
+  return (
+    <div className="flex gap-1 justify-center items-center text-xs">
+      {label && <span className="text-gray-400 mr-1">{label}</span>}
+      {options.map((option) => (
+        <button
+          key={String(option)}
+          onClick={() => onChange(option)}
+          className={`px-2 py-1 border rounded transition ${
+            value === option
+              ? 'border-gray-900 text-gray-900'
+              : 'border-gray-200 text-gray-500 hover:border-gray-900'
+          }`}
+        >
+          {labelFor(option)}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Toggles for the optional operations; value is the list turned on
+function OperationsPicker({ label = 'Extra', value, onChange }) {
+  const toggle = (op) => onChange(EXTRA_OPERATIONS.filter(o => (o === op ? !value.includes(o) : value.includes(o))));
+
+  return (
+    <div className="flex gap-1 justify-center items-center text-xs">
+      <span className="text-gray-400 mr-1">{label}</span>
+      {EXTRA_OPERATIONS.map((op) => (
+        <button
+          key={op}
+          onClick={() => toggle(op)}
+          className={`w-7 py-1 border rounded transition ${
+            value.includes(op)
+              ? 'border-gray-900 text-gray-900'
+              : 'border-gray-200 text-gray-500 hover:border-gray-900'
+          }`}
+        >
+          {OPERATION_LABELS[op]}
+        </button>
+      ))}
+    </div>
+  );
 }
 
-function PlayingCard({ card, isSelected, onClick, disabled }) {
+// Host's rule choices for a new room
+function RulesPicker({ rules, onChange }) {
+  const set = (key) => (value) => onChange({ ...rules, [key]: value });
+
+  return (
+    <div className="space-y-2">
+      <ChoicePicker label="Target" value={rules.target} options={TARGET_OPTIONS} onChange={set('target')} />
+      <ChoicePicker label="Cards" value={rules.cardCount} options={CARD_COUNT_OPTIONS} onChange={set('cardCount')} />
+      <div className="flex gap-1 justify-center items-center text-xs">
+        <span className="text-gray-400 mr-1">Ranks</span>
+        {['minRank', 'maxRank'].map((key, i) => (
+          <React.Fragment key={key}>
+            {i > 0 && <span className="text-gray-400">to</span>}
+            <select
+              value={rules[key]}
+              onChange={(e) => onChange({ ...rules, [key]: e.target.value })}
+              className="px-1 py-1 border border-gray-200 rounded text-gray-900"
+            >
+              {CARD_NAMES.map(rank => <option key={rank} value={rank}>{rank}</option>)}
+            </select>
+          </React.Fragment>
+        ))}
+      </div>
+      <ChoicePicker
+        label="J/Q/K"
+        value={rules.faceCards}
+        options={['high', 'ten']}
+        onChange={set('faceCards')}
+        labelFor={(option) => (option === 'high' ? '11/12/13' : '10')}
+      />
+      <ChoicePicker
+        label="First to"
+        value={rules.pointsToWin}
+        options={[null, ...POINTS_TO_WIN_OPTIONS]}
+        onChange={set('pointsToWin')}
+        labelFor={(points) => (points ? points : 'Off')}
+      />
+      <ChoicePicker
+        label="Time limit"
+        value={rules.timeLimit}
+        options={TIME_LIMIT_OPTIONS}
+        onChange={set('timeLimit')}
+        labelFor={(seconds) => (seconds ? `${seconds / 60}m` : 'Off')}
+      />
+      <OperationsPicker value={extraOperations(rules)} onChange={(operations) => onChange({ ...rules, operations })} />
+    </div>
+  );
+}
+
+// Two-way switch for a room option; labels are [off, on]
+const OnOffPicker = ({ label, value, onChange, labels }) => (
+  <ChoicePicker label={label} value={value} options={[false, true]} onChange={onChange} labelFor={(on) => labels[on ? 1 : 0]} />
+);
+
+const CAPACITY_OPTIONS = Array.from({ length: MAX_PLAYERS - MIN_PLAYERS + 1 }, (_, i) => MIN_PLAYERS + i);
+
+const CapacityPicker = ({ value, onChange }) => (
+  <ChoicePicker label="Players" value={value} options={CAPACITY_OPTIONS} onChange={onChange} />
+);
+
+const DifficultyPicker = ({ value, onChange }) => (
+  <ChoicePicker value={value} options={DIFFICULTIES} onChange={onChange} labelFor={(level) => DIFFICULTY_LABELS[level]} />
+);
+
+// Live bracket: one column per stage for knockouts, plus a table for round robin
+function Bracket({ tournament, playerId, onPlay, onWatch }) {
+  const players = tournament.players || {};
+  const matches = Object.values(tournament.matches || {});
+  const stages = [...new Set(matches.map(m => m.stage))].sort((a, b) => a - b);
+  const nameOf = (id) => (id ? players[id]?.name || 'Unknown' : '—');
+
+  return (
+    <div className="space-y-4">
+      {tournament.format === 'roundRobin' && (
+        <table className="w-full text-xs">
+          <thead className="text-gray-400">
+            <tr>
+              <th className="text-left font-normal">Player</th>
+              <th className="font-normal">Played</th>
+              <th className="font-normal">Wins</th>
+              <th className="font-normal">Points</th>
+            </tr>
+          </thead>
+          <tbody>
+            {standings(tournament).map((row) => (
+              <tr key={row.id} className={row.id === playerId ? 'font-semibold' : ''}>
+                <td>{row.name}</td>
+                <td className="text-center">{row.played}</td>
+                <td className="text-center">{row.wins}</td>
+                <td className="text-center">{row.pointsFor}-{row.pointsAgainst}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="flex gap-3 overflow-x-auto text-xs">
+        {stages.map((stage) => (
+          <div key={stage} className="flex-1 min-w-32 space-y-2">
+            <div className="text-gray-400 text-center">Round {stage}</div>
+            {matches.filter(m => m.stage === stage).sort((a, b) => a.index - b.index).map((match) => {
+              const live = match.roomId && !match.winner;
+              const mine = match.playerA === playerId || match.playerB === playerId;
+
+              return (
+                <div key={match.id} className={`border rounded px-2 py-1 ${live ? 'border-gray-900' : 'border-gray-200'}`}>
+                  {[match.playerA, match.playerB].map((id, i) => (
+                    <div key={i} className="flex justify-between">
+                      <span className={match.winner && match.winner === id ? 'font-semibold' : 'text-gray-600'}>
+                        {match.bye && !id ? 'bye' : nameOf(id)}
+                      </span>
+                      <span className="text-gray-400">{id && match.scores?.[id]}</span>
+                    </div>
+                  ))}
+                  {live && (
+                    <button
+                      onClick={() => (mine ? onPlay(match.roomId) : onWatch(match.roomId))}
+                      className="mt-1 text-gray-500 hover:text-gray-900 transition"
+                    >
+                      {mine ? 'Play' : 'Watch'}
+                    </button>
+                  )}
+                  {!live && !match.winner && isMatchReady(tournament, match) && (
+                    <div className="mt-1 text-gray-400">Starting...</div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Plays the winning moves back on the cards one step at a time, next to
+// every other way the hand could have been solved
+function SolutionReplay({ originalCards, moves, target, operations }) {
+  const steps = useMemo(() => replayMoves(originalCards, moves), [originalCards, moves]);
+  const [step, setStep] = useState(0);
+  // Listing every solution can take seconds, so it only runs when asked for
+  const [alternatives, setAlternatives] = useState(null);
+  const [listing, setListing] = useState(false);
+  const maxCards = operations.length > 0 ? MAX_LISTED_EXTRA_SOLUTION_CARDS : MAX_LISTED_SOLUTION_CARDS;
+
+  const listSolutions = () => {
+    setListing(true);
+    // Let "Finding solutions..." paint before the solver blocks
+    setTimeout(() => {
+      setAlternatives(findSolutions(originalCards, target, operations));
+      setListing(false);
+    }, 0);
+  };
+
+  useEffect(() => {
+    if (step >= steps.length - 1) return;
+    const timeout = setTimeout(() => setStep(step + 1), REPLAY_STEP_INTERVAL);
+    return () => clearTimeout(timeout);
+  }, [step, steps.length]);
+
+  const current = steps[step];
+
+  return (
+    <div className="space-y-3 py-3 border-y border-gray-200">
+      <div className="grid grid-cols-4 gap-2 max-w-xs mx-auto">
+        {current.cards.map((card) => (
+          <PlayingCard key={card.id} card={card} isSelected={card.id === current.result} onClick={() => {}} />
+        ))}
+      </div>
+      <div className="text-gray-500 font-mono min-h-4">
+        {steps.slice(1, step + 1).map(s => s.text).join(' → ')}
+      </div>
+      <button
+        onClick={() => setStep(0)}
+        disabled={step < steps.length - 1}
+        className="text-gray-500 hover:text-gray-900 disabled:opacity-30 transition"
+      >
+        Replay
+      </button>
+      {originalCards.length > maxCards ? (
+        <div className="text-gray-400">Too many cards to list every solution</div>
+      ) : alternatives ? (
+        <>
+          <div className="text-gray-400">
+            {alternatives.length === 1 ? 'The only solution' : `All ${alternatives.length} solutions`}
+          </div>
+          <div className="max-h-32 overflow-y-auto font-mono text-gray-500 space-y-0.5">
+            {alternatives.map(({ expression }) => (
+              <div key={expression}>{expression}</div>
+            ))}
+          </div>
+        </>
+      ) : (
+        <button
+          onClick={listSolutions}
+          disabled={listing}
+          className="text-gray-500 hover:text-gray-900 disabled:opacity-30 transition"
+        >
+          {listing ? 'Finding solutions...' : 'Show all solutions'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Type a whole solution instead of clicking it together. Parses as you type,
+// against the dealt cards, and only submits a complete expression.
+function ExpressionInput({ cards, operations, disabled, onSubmit }) {
+  const [text, setText] = useState('');
+  const parsed = useMemo(
+    () => (text.trim() ? parseExpression(text, cards, operations) : null),
+    [text, cards, operations]
+  );
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (disabled || !parsed || parsed.error) return;
+    onSubmit(text);
+    setText('');
+  };
+
+  let hint = '';
+  if (parsed?.error) {
+    hint = parsed.position === null ? parsed.error : `${parsed.error} (character ${parsed.position + 1})`;
+  } else if (parsed) {
+    hint = `= ${formatFraction(parsed.value)}`;
+  }
+
+  return (
+    <form onSubmit={submit} className="max-w-xs mx-auto space-y-1">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          placeholder="Or type it, e.g. 8/(3-8/3)"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          disabled={disabled}
+          aria-label="Type a solution"
+          aria-invalid={Boolean(parsed?.error)}
+          className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded font-mono text-sm focus:border-gray-900 focus:outline-none disabled:opacity-30"
+        />
+        <button
+          type="submit"
+          disabled={disabled || !parsed || Boolean(parsed.error)}
+          className="px-4 py-2 border border-gray-300 hover:border-gray-900 rounded text-sm transition disabled:opacity-30"
+        >
+          Go
+        </button>
+      </div>
+      <div aria-live="polite" className={`text-xs min-h-4 ${parsed?.error ? 'text-red-600' : 'text-gray-500'}`}>
+        {hint}
+      </div>
+    </form>
+  );
+}
+
+// hotkey is the number key that picks this card, shown in the corner
+function PlayingCard({ card, isSelected, onClick, disabled, hotkey, buttonRef }) {
   const displayValue = card.rank;
+  const label = card.isOriginal ? `${card.rank} of ${SUIT_NAMES[card.suit]}` : `Result ${displayValue}`;
 
   return (
     <button
+      ref={buttonRef}
       onClick={onClick}
       disabled={disabled}
-      className={`relative aspect-[2/3] rounded-lg border-2 bg-white flex flex-col items-center justify-center transition-all shadow-sm ${
+      aria-label={label}
+      aria-pressed={isSelected}
+      aria-keyshortcuts={hotkey ? String(hotkey) : undefined}
+      className={`relative aspect-[2/3] rounded-lg border-2 bg-white flex flex-col items-center justify-center transition-all shadow-sm focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 ${
         isSelected
           ? 'border-black ring-2 ring-gray-400'
           : 'border-gray-500 hover:border-gray-700'
       } ${disabled ? 'opacity-40 cursor-not-allowed' : 'cursor-pointer'}`}
     >
+      {hotkey && (
+        <span aria-hidden="true" className="absolute top-1 right-1.5 text-[10px] text-gray-400">
+          {hotkey}
+        </span>
+      )}
       {card.isOriginal ? (
         <>
           <div className={`absolute top-1.5 left-2 flex flex-col items-center leading-none ${SUIT_COLORS[card.suit]}`}>
@@ -168,10 +538,11 @@ function PlayingCard({ card, isSelected, onClick, disabled }) {
 }
 
 function TwentyFourGame() {
-  const [gameMode, setGameMode] = useState(null); // 'single' or 'multi'
+  const [gameMode, setGameMode] = useState(null); // 'single', 'daily' or 'multi'
   const [gameState, setGameState] = useState('setup');
   const [roomId, setRoomId] = useState(null);
-  const [playerId, setPlayerId] = useState(null);
+  const [playerId, setPlayerId] = useState(null); // Firebase Auth uid
+  const [account, setAccount] = useState(null); // Display name once linked, null while anonymous
   const [playerName, setPlayerName] = useState('');
   const [cards, setCards] = useState([]); // Local card state
   const [originalCards, setOriginalCards] = useState([]); // Original cards for reset
@@ -180,6 +551,7 @@ function TwentyFourGame() {
   const [winner, setWinner] = useState(null);
   const [timer, setTimer] = useState(0);
   const [clockTimer, setClockTimer] = useState(null); // Countdown when clocked
+  const [serverTimeOffset, setServerTimeOffset] = useState(0);
   const [message, setMessage] = useState('');
   const [moveHistory, setMoveHistory] = useState([]); // Local move history
   const [cardHistory, setCardHistory] = useState([]); // Local undo history
@@ -189,10 +561,49 @@ function TwentyFourGame() {
   const [iWon, setIWon] = useState(false);
   const [myReady, setMyReady] = useState(false);
   const [isSittingOut, setIsSittingOut] = useState(false);
+  const [difficulty, setDifficulty] = useState(DEFAULT_DIFFICULTY);
+  const [maxPlayers, setMaxPlayers] = useState(MAX_PLAYERS);
+  const [roomFull, setRoomFull] = useState(false);
+  const [isSpectating, setIsSpectating] = useState(false);
+  const [isPublic, setIsPublic] = useState(false);
+  const [publicRooms, setPublicRooms] = useState([]);
+  const [queueWaiting, setQueueWaiting] = useState(0); // Players waiting for the same quick match
+  const [revealedRound, setRevealedRound] = useState(null); // Round whose winning moves are shown
+  const [hideProgress, setHideProgress] = useState(false);
+  const [rules, setRules] = useState(DEFAULT_RULES); // Rules for a room we're about to create
+  const [showRules, setShowRules] = useState(false);
+  const [resetCount, setResetCount] = useState(0); // Board resets this round, shared as progress
+
+  // Tournament state
+  const [tournamentId, setTournamentId] = useState(null);
+  const [tournament, setTournament] = useState(null);
+  const [tournamentCode, setTournamentCode] = useState(''); // Code typed in to join
+  const [tournamentName, setTournamentName] = useState('');
+  const [tournamentFormat, setTournamentFormat] = useState('elimination');
+  const [pointsToWin, setPointsToWin] = useState(3);
+
+  // Session resume
+  const resumeAttemptedRef = useRef(false);
+  const restoredBoardRef = useRef(null); // Board saved before a refresh, applied on rejoin
+  const matchingRef = useRef(false); // Set while this client is seating a quick-match group
+  const startingMatchesRef = useRef(new Set()); // Tournament matches whose rooms are being created
+
+  // Keyboard play
+  const cardRefs = useRef([]); // Card buttons in board order
+  const refocusCardRef = useRef(false); // Set when a focused card was combined away
+  const keyHandlerRef = useRef(null);
   
   // Single player specific states
   const [singlePlayerScore, setSinglePlayerScore] = useState(0);
   const [singlePlayerBestTime, setSinglePlayerBestTime] = useState(null);
+  const [soloSeed, setSoloSeed] = useState(null);
+  const [soloRound, setSoloRound] = useState(1);
+  const [soloOperations, setSoloOperations] = useState([]); // Extra operations for solo hands
+
+  // Daily challenge states
+  const [dailyKey, setDailyKey] = useState(null);
+  const [dailyPuzzles, setDailyPuzzles] = useState([]);
+  const [dailyTimes, setDailyTimes] = useState([]); // Seconds per hand, null if skipped
 
   // Loading state
   const [isLoading, setIsLoading] = useState(false);
@@ -204,6 +615,13 @@ function TwentyFourGame() {
     [roomData?.players]
   );
 
+  // Extra operations on offer: the room's in multiplayer, the player's own in solo
+  const roomOperations = useMemo(() => extraOperations(roomData?.rules), [roomData?.rules]);
+  const activeOperations = gameMode === 'multi' ? roomOperations : gameMode === 'single' ? soloOperations : [];
+
+  // A solved daily hand is already recorded in dailyTimes
+  const dailyIndex = winner ? dailyTimes.length - 1 : dailyTimes.length;
+
 
   useEffect(() => {
     document.title = '24';
@@ -217,15 +635,33 @@ function TwentyFourGame() {
     // Check for room ID in URL
     const urlParams = new URLSearchParams(window.location.search);
     const roomFromUrl = urlParams.get('room');
-    if (roomFromUrl) {
+    const tournamentFromUrl = urlParams.get('tournament');
+    if (tournamentFromUrl) {
+      setTournamentCode(tournamentFromUrl.toUpperCase());
+      setGameState('tournamentSetup');
+    } else if (roomFromUrl) {
       setJoinRoomId(roomFromUrl);
       setGameState('join');
       setGameMode('multi');
     }
+  }, []);
 
-    // Generate player ID
-    const pid = 'player_' + Math.random().toString(36).substr(2, 9);
-    setPlayerId(pid);
+  // Firebase Auth supplies a stable player ID - anonymous until linked to an account
+  useEffect(() => {
+    const unsubscribe = onAuthStateChanged(auth, (user) => {
+      if (user) {
+        setPlayerId(user.uid);
+        setAccount(user.isAnonymous ? null : (user.displayName || user.email));
+        return;
+      }
+      setPlayerId(null);
+      setAccount(null);
+      signInAnonymously(auth).catch((error) => {
+        console.error('Anonymous sign-in error:', error);
+        setMessage('❌ Could not sign in. Check your connection.');
+      });
+    });
+    return () => unsubscribe();
   }, []);
 
   useEffect(() => {
@@ -238,27 +674,40 @@ function TwentyFourGame() {
     return () => clearInterval(interval);
   }, [gameMode, gameState, roomData, winner]);
 
-  // Clock countdown timer
+  // Track the offset between this client's clock and Firebase server time
   useEffect(() => {
-    let interval;
-    if (clockTimer !== null && clockTimer > 0) {
-      interval = setInterval(() => {
-        setClockTimer(t => {
-          const newTime = t - 1;
-          if (newTime > 0 && !iWon) {
-            setMessage(`⏰ You've been clocked! ${newTime} seconds to finish!`);
-          } else if (newTime === 0 && !iWon) {
-            setMessage("⏰ Time's up! Game frozen - Click Ready to continue.");
-            // Clear selections when game freezes
-            setSelectedCard(null);
-            setSelectedOperation(null);
-          }
-          return newTime;
-        });
-      }, 1000);
-    }
+    const offsetRef = ref(database, '.info/serverTimeOffset');
+    const unsubscribe = onValue(offsetRef, (snapshot) => {
+      setServerTimeOffset(snapshot.val() || 0);
+    });
+    return () => unsubscribe();
+  }, []);
+
+  // Clock countdown, derived from the shared deadline rather than counted down
+  // locally, so throttled tabs and late joiners stay in sync
+  useEffect(() => {
+    const deadline = roomData?.clockDeadline;
+    if (gameMode !== 'multi' || !deadline) return;
+
+    const interval = setInterval(() => {
+      const remaining = Math.max(0, Math.ceil((deadline - (Date.now() + serverTimeOffset)) / 1000));
+      setClockTimer(remaining);
+
+      if (remaining > 0 && !iWon && roomData.clocked) {
+        setMessage(`⏰ You've been clocked! ${remaining} seconds to finish!`);
+      } else if (remaining === 0) {
+        clearInterval(interval);
+        if (!iWon) {
+          setMessage("⏰ Time's up! Game frozen - Click Ready to continue.");
+          // Clear selections when game freezes
+          setSelectedCard(null);
+          setSelectedOperation(null);
+        }
+      }
+    }, CLOCK_TICK_INTERVAL);
+
     return () => clearInterval(interval);
-  }, [clockTimer, iWon]);
+  }, [gameMode, roomData?.clockDeadline, roomData?.clocked, serverTimeOffset, iWon]);
 
   // Listen to room updates
   useEffect(() => {
@@ -269,27 +718,50 @@ function TwentyFourGame() {
         if (data) {
           setRoomData(prev => {
             // Check if I was kicked
-            if (data.players && !data.players[playerId]) {
+            if (!isSpectating && data.players && !data.players[playerId]) {
               setMessage('❌ You were removed from the room');
               setGameState('setup');
               setRoomId(null);
+              clearSession();
               return null;
             }
 
             // Only set initial cards when game starts or new round
             if (data.gameStarted && (!prev?.gameStarted || data.roundNumber !== prev?.roundNumber)) {
-              setCards(data.originalCards || []);
+              // Coming back mid-round after a refresh - pick up the saved board
+              const restored = restoredBoardRef.current;
+              const me = data.players?.[playerId];
+              if (restored && restored.roundNumber === data.roundNumber) {
+                setCards(restored.cards || []);
+                setMoveHistory(restored.moveHistory || []);
+                setCardHistory(restored.cardHistory || []);
+                setMyReady(!!me?.ready);
+                setIsSittingOut(!!me?.sittingOut);
+              } else {
+                setCards(data.originalCards || []);
+                setMoveHistory([]);
+                setCardHistory([]);
+                setMyReady(false);
+              }
               setOriginalCards(data.originalCards || []);
-              setMoveHistory([]);
-              setCardHistory([]);
+              const myProgress = data.progress?.[playerId];
+              setResetCount(myProgress?.round === data.roundNumber ? myProgress.resets || 0 : 0);
               setSelectedCard(null);
               setSelectedOperation(null);
               setIWon(false);
-              setMyReady(false);
               setWinner(null);
               setClockTimer(null);
             }
 
+            // Keep sit-out in sync when the host sits an idle player out
+            const mySittingOut = !!data.players?.[playerId]?.sittingOut;
+            if (prev?.players?.[playerId] && mySittingOut !== !!prev.players[playerId].sittingOut) {
+              setIsSittingOut(mySittingOut);
+              if (mySittingOut && idleRounds(data.players[playerId], data.roundNumber) >= IDLE_ROUNDS_FOR_SIT_OUT) {
+                setMessage('⏳ You were sat out after a few idle rounds. Sit back in when you are ready!');
+              }
+            }
+
             // Check for winner
             if (data.winner && !prev?.winner) {
               setWinner(data.winner);
@@ -302,9 +774,21 @@ function TwentyFourGame() {
               }
             }
 
-            // Show clock message if clocked and start countdown
-            if (data.clocked && !prev?.clocked) {
-              setClockTimer(CLOCK_DURATION);
+            // Someone reached the room's pointsToWin - no more rounds
+            if (data.matchWinner && !prev?.matchWinner) {
+              setMessage(data.matchWinner === playerId
+                ? '🏆 You won the match!'
+                : `🏆 ${data.players[data.matchWinner]?.name} won the match.`);
+            }
+
+            // Outcome of my own win claim, decided by verifyWinClaim
+            const myClaim = data.claims?.[playerId];
+            if (myClaim?.status && myClaim.status !== prev?.claims?.[playerId]?.status) {
+              if (myClaim.status === 'rejected') {
+                setMessage(`❌ Solution rejected: ${myClaim.reason}`);
+              } else if (myClaim.status === 'late') {
+                setMessage(lostRaceMessage(data, myClaim.submittedAt));
+              }
             }
 
             if (data.gameStarted && !prev?.gameStarted) {
@@ -313,44 +797,270 @@ function TwentyFourGame() {
 
             return data;
           });
+        } else {
+          // Closed by the host or removed by the stale room cleanup
+          setRoomData(prev => {
+            if (prev) {
+              setMessage('❌ This room has been closed');
+              setGameState('setup');
+              setRoomId(null);
+              setIsSpectating(false);
+              clearSession();
+            }
+            return null;
+          });
         }
       });
 
       return () => unsubscribe();
     }
-  }, [roomId, gameMode, playerId]);
+  }, [roomId, gameMode, playerId, isSpectating]);
 
-  // Set up disconnect handler to save score and remove player
+  // Presence: while connected (per .info/connected) the player is online. The
+  // disconnect handler marks them offline with a last-seen time, and the seat
+  // is kept for OFFLINE_GRACE_PERIOD so a refresh or network drop doesn't cost it.
+  const isSeated = !!roomData?.players?.[playerId];
   useEffect(() => {
-    if (roomId && gameMode === 'multi' && playerId && roomData?.players?.[playerId]) {
-      const playerRef = ref(database, `rooms/${roomId}/players/${playerId}`);
-      const currentPlayer = roomData.players[playerId];
-
-      // On disconnect: save score to history, then remove player
-      const scoreHistoryRef = ref(database, `rooms/${roomId}/scoreHistory/${currentPlayer.name}`);
-      onDisconnect(scoreHistoryRef).set(currentPlayer.score || 0);
-      onDisconnect(playerRef).remove();
-
-      // Cleanup: cancel onDisconnect when effect re-runs or unmounts
-      return () => {
-        onDisconnect(scoreHistoryRef).cancel();
-        onDisconnect(playerRef).cancel();
-      };
-    }
-  }, [roomId, gameMode, playerId, roomData?.players]);
+    if (!roomId || gameMode !== 'multi' || !playerId || !isSeated) return;
+
+    const playerRef = ref(database, `rooms/${roomId}/players/${playerId}`);
+    const connectedRef = ref(database, '.info/connected');
+
+    const unsubscribe = onValue(connectedRef, async (snapshot) => {
+      if (snapshot.val() !== true) return;
+      try {
+        await onDisconnect(playerRef).update({ online: false, lastSeen: serverTimestamp() });
+        await update(playerRef, { online: true, lastSeen: serverTimestamp() });
+      } catch (error) {
+        console.error('Failed to update presence:', error);
+      }
+    });
+
+    // Cleanup: cancel onDisconnect when effect re-runs or unmounts
+    return () => {
+      unsubscribe();
+      onDisconnect(playerRef).cancel();
+    };
+  }, [roomId, gameMode, playerId, isSeated]);
+
+  // Host removes players who have been offline longer than the grace period,
+  // saving their score so they get it back if they rejoin later
+  useEffect(() => {
+    if (!roomId || gameMode !== 'multi' || !roomData?.players || roomData.host !== playerId) return;
+
+    const interval = setInterval(() => {
+      const now = Date.now() + serverTimeOffset;
+      const expired = Object.values(roomData.players)
+        .filter(p => p.online === false && p.lastSeen && now - p.lastSeen > OFFLINE_GRACE_PERIOD);
+      if (expired.length === 0) return;
+
+      const updates = { playerCount: increment(-expired.length) };
+      expired.forEach(p => {
+        updates[`scoreHistory/${p.id}`] = p.score || 0;
+        updates[`players/${p.id}`] = null;
+      });
+      update(ref(database, `rooms/${roomId}`), updates).catch((error) => {
+        console.error('Failed to remove offline players:', error);
+      });
+    }, OFFLINE_SWEEP_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [roomId, gameMode, playerId, roomData?.host, roomData?.players, serverTimeOffset]);
+
+  // Share how far along this board is, unless the room hides progress
+  useEffect(() => {
+    if (gameMode !== 'multi' || !roomId || !playerId || isSpectating || isSittingOut) return;
+    if (!roomData?.gameStarted || roomData.hideProgress || cards.length === 0) return;
+
+    set(ref(database, `rooms/${roomId}/progress/${playerId}`), {
+      round: roomData.roundNumber,
+      cardsLeft: cards.length,
+      deadEnd: !canMake24(cards, withDefaults(roomData.rules).target, roomOperations),
+      resets: resetCount
+    }).catch((error) => console.error('Failed to share progress:', error));
+  }, [gameMode, roomId, playerId, isSpectating, isSittingOut, roomData?.gameStarted, roomData?.hideProgress, roomData?.roundNumber, roomData?.rules, roomOperations, cards, resetCount]);
+
+  // Follow the tournament we registered for or are watching
+  useEffect(() => {
+    if (!tournamentId) return;
+
+    const unsubscribe = onValue(ref(database, `tournaments/${tournamentId}`), (snapshot) => {
+      const data = snapshot.val();
+      if (!data) {
+        setMessage('❌ Tournament not found');
+        setTournamentId(null);
+        setTournament(null);
+        setGameState('setup');
+        return;
+      }
+      setTournament(data);
+    });
+
+    return () => unsubscribe();
+  }, [tournamentId]);
+
+  // The organizer's client opens a room for every match that is ready to play
+  useEffect(() => {
+    if (!tournament || tournament.organizer !== playerId || tournament.status !== 'running') return;
+
+    readyMatches(tournament)
+      .filter(m => !m.roomId && !startingMatchesRef.current.has(m.id))
+      .forEach((match) => {
+        startingMatchesRef.current.add(match.id);
+        startMatch(match).finally(() => startingMatchesRef.current.delete(match.id));
+      });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tournament, playerId]);
+
+  // Spectators list themselves so players can see who is watching
+  useEffect(() => {
+    if (!isSpectating || !roomId || !playerId) return;
+
+    const spectatorRef = ref(database, `rooms/${roomId}/spectators/${playerId}`);
+    onDisconnect(spectatorRef).remove()
+      .then(() => set(spectatorRef, true))
+      .catch((error) => console.error('Failed to register spectator:', error));
+
+    return () => {
+      onDisconnect(spectatorRef).cancel();
+      set(spectatorRef, null).catch(() => {}); // The room may already be gone
+    };
+  }, [isSpectating, roomId, playerId]);
+
+  // Live list of public rooms while the lobby is open
+  useEffect(() => {
+    if (gameState !== 'lobby') return;
+
+    const publicQuery = query(ref(database, 'rooms'), orderByChild('isPublic'), equalTo(true));
+    const unsubscribe = onValue(publicQuery, (snapshot) => {
+      const rooms = [];
+      snapshot.forEach((child) => {
+        const room = child.val();
+        rooms.push({
+          code: child.key,
+          hostName: room.players?.[room.host]?.name || 'Unknown',
+          playerCount: room.playerCount || 0,
+          maxPlayers: room.maxPlayers || MAX_PLAYERS,
+          difficulty: room.difficulty || DEFAULT_DIFFICULTY,
+          rules: describeRules(room.rules),
+          roundNumber: room.roundNumber || 1,
+          inProgress: !!room.gameStarted,
+          lastActivityAt: room.lastActivityAt || room.createdAt || 0
+        });
+      });
+      setPublicRooms(rooms.sort((a, b) => b.lastActivityAt - a.lastActivityAt));
+    }, (error) => {
+      console.error('Lobby error:', error);
+      setMessage('❌ Failed to load public rooms. Check your connection.');
+    });
+
+    return () => unsubscribe();
+  }, [gameState]);
+
+  // Quick match: watch the queue until we're seated. The longest-waiting player
+  // in a full group creates the room and seats everyone else.
+  useEffect(() => {
+    if (gameState !== 'queue' || !playerId) return;
+
+    const myEntryRef = ref(database, `queue/${playerId}`);
+    const unsubscribe = onValue(ref(database, 'queue'), (snapshot) => {
+      const queue = snapshot.val() || {};
+      const myRoomId = queue[playerId]?.roomId;
+
+      if (myRoomId) {
+        onDisconnect(myEntryRef).cancel();
+        set(myEntryRef, null);
+        setRoomId(myRoomId);
+        setGameState('playing');
+        setMessage('');
+        return;
+      }
+
+      setQueueWaiting(waitingGroup(queue, playerId).length);
+
+      const match = findMatch(queue, playerId);
+      if (match && !matchingRef.current) {
+        matchingRef.current = true;
+        seatMatch(match).finally(() => { matchingRef.current = false; });
+      }
+    }, (error) => {
+      console.error('Queue error:', error);
+      setMessage('❌ Lost the matchmaking queue. Check your connection.');
+    });
+
+    return () => unsubscribe();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [gameState, playerId]);
+
+  // Save the session and board so a refresh can pick up where we left off
+  useEffect(() => {
+    if (gameMode !== 'multi' || !roomId || isSpectating || !roomData?.roundNumber) return;
+    saveSession({
+      roomId,
+      playerName,
+      board: { roundNumber: roomData.roundNumber, cards, moveHistory, cardHistory }
+    });
+  }, [gameMode, roomId, isSpectating, playerName, roomData?.roundNumber, cards, moveHistory, cardHistory]);
+
+  // Resume a saved session once signed in
+  useEffect(() => {
+    if (!playerId || resumeAttemptedRef.current) return;
+    resumeAttemptedRef.current = true;
+
+    const session = loadSession();
+    if (!session?.roomId) return;
+
+    restoredBoardRef.current = session.board || null;
+    setPlayerName(session.playerName || '');
+    setJoinRoomId(session.roomId);
+    setGameMode('multi');
+    joinRoom(session.playerName || '', session.roomId);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [playerId]);
 
   // Auto-check if all players are ready when roomData changes
   useEffect(() => {
-    if (roomData && winner && roomData.players) {
+    // A timed-out round has no winner but still waits for everyone to ready up
+    if (roomData && (winner || clockTimer === 0) && roomData.players) {
       checkAndStartNextRound();
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [roomData?.players, winner]);
+  }, [roomData?.players, roomData?.host, winner, clockTimer === 0]);
 
-  // Single player timer effect
+  // Host migration: if the host has left, or been offline longer than
+  // HOST_OFFLINE_LIMIT, the chosen successor claims the role
+  useEffect(() => {
+    if (!roomId || gameMode !== 'multi' || isSpectating || !roomData?.players) return;
+
+    const currentHost = roomData.host;
+    const hostPlayer = roomData.players[currentHost];
+    if (hostPlayer && hostPlayer.online !== false) return;
+    if (pickSuccessor(roomData.players, currentHost)?.id !== playerId) return;
+
+    const delay = hostPlayer
+      ? Math.max(0, (hostPlayer.lastSeen || 0) + HOST_OFFLINE_LIMIT - (Date.now() + serverTimeOffset))
+      : 0;
+
+    const timeout = setTimeout(async () => {
+      try {
+        // Only replace the host we saw leave, so two clients can't both take over
+        const hostRef = ref(database, `rooms/${roomId}/host`);
+        const result = await runTransaction(hostRef, (host) => (host === currentHost ? playerId : undefined));
+        if (result.committed) {
+          setMessage('👑 The host left - you are now the host.');
+        }
+      } catch (error) {
+        console.error('Failed to take over as host:', error);
+      }
+    }, delay);
+
+    return () => clearTimeout(timeout);
+  }, [roomId, gameMode, isSpectating, playerId, roomData?.host, roomData?.players, serverTimeOffset]);
+
+  // Single player and daily timer effect
   useEffect(() => {
     let interval;
-    if (gameMode === 'single' && gameState === 'playing' && !winner) {
+    if ((gameMode === 'single' || gameMode === 'daily') && gameState === 'playing' && !winner) {
       interval = setInterval(() => {
         setTimer(t => t + 1);
       }, 1000);
@@ -360,7 +1070,25 @@ function TwentyFourGame() {
 
   // Single player game functions
   const startSinglePlayerGame = () => {
-    const newCards = generateCards();
+    const seed = createSeed();
+    const newCards = dealCards(seed, 1, difficulty, { operations: soloOperations });
+    setSoloSeed(seed);
+    setSoloRound(1);
+    setCards(newCards);
+    setOriginalCards(newCards);
+    setMoveHistory([]);
+    setCardHistory([]);
+    setSelectedCard(null);
+    setSelectedOperation(null);
+    setWinner(null);
+    setTimer(0);
+    setMessage('');
+    setGameState('playing');
+  };
+
+  const nextRoundSinglePlayer = () => {
+    const newCards = dealCards(soloSeed, soloRound + 1, difficulty, { operations: soloOperations });
+    setSoloRound(soloRound + 1);
     setCards(newCards);
     setOriginalCards(newCards);
     setMoveHistory([]);
@@ -368,150 +1096,563 @@ function TwentyFourGame() {
     setSelectedCard(null);
     setSelectedOperation(null);
     setWinner(null);
+    setIWon(false);
     setTimer(0);
     setMessage('');
+  };
+
+  // Daily challenge functions
+  const showDailyPuzzle = (puzzle) => {
+    setCards(puzzle);
+    setOriginalCards(puzzle);
+    setMoveHistory([]);
+    setCardHistory([]);
+    setSelectedCard(null);
+    setSelectedOperation(null);
+    setWinner(null);
+    setIWon(false);
+    setTimer(0);
+    setMessage('');
+  };
+
+  const startDailyChallenge = () => {
+    const key = getDailyKey();
+    const puzzles = dealDailyPuzzles(key);
+    const times = loadDailyResult(key)?.times || [];
+
+    setGameMode('daily');
+    setDailyKey(key);
+    setDailyPuzzles(puzzles);
+    setDailyTimes(times);
+
+    // Resume where we left off, or go straight to today's results
+    if (times.length >= puzzles.length) {
+      setGameState('dailyDone');
+      return;
+    }
+    showDailyPuzzle(puzzles[times.length]);
     setGameState('playing');
   };
 
-  const nextRoundSinglePlayer = () => {
-    const newCards = generateCards();
-    setCards(newCards);
-    setOriginalCards(newCards);
-    setMoveHistory([]);
-    setCardHistory([]);
-    setSelectedCard(null);
-    setSelectedOperation(null);
-    setWinner(null);
-    setIWon(false);
-    setTimer(0);
+  const recordDailyTime = (time) => {
+    const times = [...dailyTimes, time];
+    setDailyTimes(times);
+    saveDailyResult(dailyKey, { times });
+    return times;
+  };
+
+  const advanceDaily = (times) => {
+    if (times.length >= dailyPuzzles.length) {
+      setGameState('dailyDone');
+      setMessage('');
+      return;
+    }
+    showDailyPuzzle(dailyPuzzles[times.length]);
+  };
+
+  const skipDailyPuzzle = () => {
+    if (winner) return;
+    advanceDaily(recordDailyTime(null));
+  };
+
+  const dailyShareText = () => {
+    const solvedTimes = dailyTimes.filter(t => t !== null);
+    const totalTime = solvedTimes.reduce((sum, t) => sum + t, 0);
+    return `24 Daily ${dailyKey} ${solvedTimes.length}/${dailyTimes.length}\n${dailyShareGrid(dailyTimes)}\n⏱ ${formatTime(totalTime)}`;
+  };
+
+  const backToMenu = () => {
+    setGameMode(null);
+    setGameState('setup');
+    setCards([]);
+    setOriginalCards([]);
+    setMoveHistory([]);
+    setCardHistory([]);
+    setSelectedCard(null);
+    setSelectedOperation(null);
+    setWinner(null);
+    setTimer(0);
+    setMessage('');
+    setIWon(false);
+    setSinglePlayerScore(0);
+    setSinglePlayerBestTime(null);
+  };
+
+  // Upgrade the anonymous player to a Google account, keeping the same uid
+  const linkAccount = async () => {
+    const provider = new GoogleAuthProvider();
+    try {
+      const result = await linkWithPopup(auth.currentUser, provider);
+      setAccount(result.user.displayName || result.user.email);
+    } catch (error) {
+      if (error.code === 'auth/credential-already-in-use') {
+        // That account already has a player - switch to it
+        try {
+          const credential = GoogleAuthProvider.credentialFromError(error);
+          await signInWithCredential(auth, credential);
+        } catch (signInError) {
+          console.error('Account sign in error:', signInError);
+          setMessage('❌ Could not link account. Try again.');
+        }
+        return;
+      }
+      console.error('Account link error:', error);
+      setMessage('❌ Could not link account. Try again.');
+    }
+  };
+
+  const signOutAccount = async () => {
+    try {
+      await signOut(auth);
+    } catch (error) {
+      console.error('Sign out error:', error);
+    }
+  };
+
+  const createRoom = async () => {
+    const validation = validatePlayerName(playerName);
+    if (!validation.valid) {
+      setMessage(`❌ ${validation.error}`);
+      return;
+    }
+    if (!playerId) {
+      setMessage('⏳ Still signing in...');
+      return;
+    }
+    const rulesError = validateRules(rules);
+    if (rulesError) {
+      setMessage(`❌ ${rulesError}`);
+      return;
+    }
+
+    setIsLoading(true);
+    setMessage('⏳ Creating room...');
+
+    try {
+      const room = newRoom({
+        host: playerId,
+        players: [newPlayer(playerId, validation.name)],
+        difficulty,
+        maxPlayers,
+        rules,
+        isPublic,
+        hideProgress
+      });
+      if (!room.originalCards) {
+        setMessage(`❌ No hand with these rules can make ${rules.target}.`);
+        return;
+      }
+
+      const newRoomId = await reserveCode('rooms', room);
+
+      if (!newRoomId) {
+        setMessage('❌ Could not find a free room code. Try again.');
+        return;
+      }
+
+      setGameMode('multi');
+      setRoomId(newRoomId);
+      setGameState('waiting');
+      setMessage('');
+    } catch (error) {
+      console.error('Create room error:', error);
+      setMessage('❌ Failed to create room. Check your connection.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const joinRoom = async (name = playerName, code = joinRoomId) => {
+    const nameValidation = validatePlayerName(name);
+    if (!nameValidation.valid) {
+      setMessage(`❌ ${nameValidation.error}`);
+      return;
+    }
+
+    const roomValidation = validateRoomCode(code);
+    if (!roomValidation.valid) {
+      setMessage(`❌ ${roomValidation.error}`);
+      return;
+    }
+
+    if (!playerId) {
+      setMessage('⏳ Still signing in...');
+      return;
+    }
+
+    setMessage('⏳ Joining room...');
+
+    try {
+      const roomRef = ref(database, `rooms/${roomValidation.code}`);
+      const snapshot = await get(roomRef);
+      const data = snapshot.val();
+
+      if (!data) {
+        setMessage('❌ Room not found!');
+        clearSession();
+        return;
+      }
+
+      // Still seated (e.g. after a refresh) - take the seat back as it is
+      if (data.players?.[playerId]) {
+        await update(roomRef, {
+          [`players/${playerId}/name`]: nameValidation.name,
+          [`players/${playerId}/online`]: true,
+          [`players/${playerId}/lastSeen`]: serverTimestamp()
+        });
+      } else {
+        const maxPlayers = data.maxPlayers || MAX_PLAYERS;
+        const roomIsFull = () => {
+          setRoomFull(true);
+          setMessage(`❌ Room is full (${maxPlayers}/${maxPlayers} players).`);
+        };
+
+        if (Object.keys(data.players || {}).length >= maxPlayers) {
+          roomIsFull();
+          return;
+        }
+
+        // Take the seat and count it in one write. The database rules reject a
+        // seat past maxPlayers, so two late joiners can't both take the last one.
+        try {
+          await update(roomRef, {
+            // Restore score if this account was in the room before
+            [`players/${playerId}`]: newPlayer(playerId, nameValidation.name, {
+              score: data.scoreHistory?.[playerId] || 0,
+              round: data.roundNumber || 1
+            }),
+            playerCount: increment(1)
+          });
+        } catch (error) {
+          if (error.code !== 'PERMISSION_DENIED') throw error;
+          roomIsFull();
+          return;
+        }
+      }
+
+      // A new player starts a waiting room, but taking a seat back after a
+      // refresh doesn't, or a host could start it alone
+      if (!data.gameStarted && !data.players?.[playerId]) {
+        await update(roomRef, { gameStarted: true, clockDeadline: roundDeadline(data.rules, serverTimeOffset) });
+      }
+
+      setGameMode('multi');
+      setRoomId(roomValidation.code);
+      setGameState('playing');
+      setMessage('');
+    } catch (error) {
+      console.error('Join room error:', error);
+      setMessage('❌ Failed to join room. Check your connection.');
+    }
+  };
+
+  // Follow a room without taking a seat
+  const watchRoom = async (code = joinRoomId) => {
+    const roomValidation = validateRoomCode(code);
+    if (!roomValidation.valid) {
+      setMessage(`❌ ${roomValidation.error}`);
+      return;
+    }
+
+    try {
+      const snapshot = await get(ref(database, `rooms/${roomValidation.code}`));
+      if (!snapshot.exists()) {
+        setMessage('❌ Room not found!');
+        return;
+      }
+    } catch (error) {
+      console.error('Watch room error:', error);
+      setMessage('❌ Failed to open room. Check your connection.');
+      return;
+    }
+
+    setIsSpectating(true);
+    setRoomFull(false);
+    setGameMode('multi');
+    setRoomId(roomValidation.code);
+    setGameState('playing');
+    setMessage('Watching');
+  };
+
+  const stopWatching = () => {
+    setIsSpectating(false);
+    setGameState(tournamentId ? 'tournament' : 'setup');
+    setGameMode(null);
+    setRoomId(null);
+    setRoomData(null);
+    setMessage('');
+  };
+
+  const joinQueue = async () => {
+    const validation = validatePlayerName(playerName);
+    if (!validation.valid) {
+      setMessage(`❌ ${validation.error}`);
+      return;
+    }
+    if (!playerId) {
+      setMessage('⏳ Still signing in...');
+      return;
+    }
+
+    try {
+      const myEntryRef = ref(database, `queue/${playerId}`);
+      await onDisconnect(myEntryRef).remove();
+      await set(myEntryRef, {
+        name: validation.name,
+        difficulty,
+        size: maxPlayers,
+        queuedAt: serverTimestamp()
+      });
+      setQueueWaiting(1);
+      setGameState('queue');
+      setMessage('');
+    } catch (error) {
+      console.error('Join queue error:', error);
+      setMessage('❌ Failed to join the queue. Check your connection.');
+    }
+  };
+
+  const leaveQueue = async () => {
+    setGameState('setup');
     setMessage('');
+    try {
+      const myEntryRef = ref(database, `queue/${playerId}`);
+      await onDisconnect(myEntryRef).cancel();
+      await set(myEntryRef, null);
+    } catch (error) {
+      console.error('Leave queue error:', error);
+    }
   };
 
-  const backToMenu = () => {
-    setGameMode(null);
-    setGameState('setup');
-    setCards([]);
-    setOriginalCards([]);
-    setMoveHistory([]);
-    setCardHistory([]);
-    setSelectedCard(null);
-    setSelectedOperation(null);
-    setWinner(null);
-    setTimer(0);
-    setMessage('');
-    setSinglePlayerScore(0);
-    setSinglePlayerBestTime(null);
+  // Create a started room for a full quick-match group, then point every
+  // entry at it in one update. If anyone left the queue in the meantime the
+  // update is rejected, the room is dropped and the next queue change retries.
+  const seatMatch = async (entries) => {
+    const [leader] = entries;
+    let newRoomId = null;
+    try {
+      newRoomId = await reserveCode('rooms', newRoom({
+        host: playerId,
+        players: entries.map(e => newPlayer(e.id, e.name, { joinedAt: e.queuedAt })),
+        difficulty: leader.difficulty,
+        maxPlayers: leader.size,
+        gameStarted: true
+      }));
+      if (!newRoomId) return;
+
+      await update(ref(database, 'queue'), Object.fromEntries(
+        entries.map(e => [`${e.id}/roomId`, newRoomId])
+      ));
+    } catch (error) {
+      console.error('Quick match error:', error);
+      if (newRoomId) set(ref(database, `rooms/${newRoomId}`), null);
+    }
   };
 
-  const createRoom = async () => {
+  const createTournament = async () => {
     const validation = validatePlayerName(playerName);
     if (!validation.valid) {
       setMessage(`❌ ${validation.error}`);
       return;
     }
+    if (!playerId) {
+      setMessage('⏳ Still signing in...');
+      return;
+    }
+
+    const name = tournamentName.trim() || `${validation.name}'s tournament`;
+    if (name.length > MAX_TOURNAMENT_NAME_LENGTH) {
+      setMessage(`❌ Tournament name: max ${MAX_TOURNAMENT_NAME_LENGTH} characters`);
+      return;
+    }
 
     setIsLoading(true);
-    setMessage('⏳ Creating room...');
+    setMessage('⏳ Creating tournament...');
 
     try {
-      const newRoomId = Math.random().toString(36).substr(2, ROOM_CODE_LENGTH).toUpperCase();
-      const newCards = generateCards();
-      const roomRef = ref(database, `rooms/${newRoomId}`);
-
-      await set(roomRef, {
-        host: playerId,
+      const code = await reserveCode('tournaments', {
+        organizer: playerId,
+        name,
+        format: tournamentFormat,
+        pointsToWin,
+        difficulty,
+        status: 'registering',
         players: {
-          [playerId]: {
-            id: playerId,
-            name: validation.name,
-            score: 0,
-            ready: false,
-            sittingOut: false,
-            joinedAt: Date.now()
-          }
+          [playerId]: { id: playerId, name: validation.name, joinedAt: Date.now() }
         },
-        originalCards: newCards,
-        gameStarted: false,
-        winner: null,
-        roundNumber: 1,
-        clocked: false,
         createdAt: Date.now()
       });
 
-      setGameMode('multi');
-      setRoomId(newRoomId);
-      setGameState('waiting');
+      if (!code) {
+        setMessage('❌ Could not find a free tournament code. Try again.');
+        return;
+      }
+
+      setTournamentId(code);
+      setGameState('tournament');
       setMessage('');
     } catch (error) {
-      console.error('Create room error:', error);
-      setMessage('❌ Failed to create room. Check your connection.');
+      console.error('Create tournament error:', error);
+      setMessage('❌ Failed to create tournament. Check your connection.');
     } finally {
       setIsLoading(false);
     }
   };
 
-  const joinRoom = async () => {
-    const nameValidation = validatePlayerName(playerName);
-    if (!nameValidation.valid) {
-      setMessage(`❌ ${nameValidation.error}`);
+  const openTournament = async (code = tournamentCode) => {
+    const codeValidation = validateRoomCode(code);
+    if (!codeValidation.valid) {
+      setMessage('❌ Invalid tournament code');
       return;
     }
 
-    const roomValidation = validateRoomCode(joinRoomId);
-    if (!roomValidation.valid) {
-      setMessage(`❌ ${roomValidation.error}`);
-      return;
+    try {
+      const snapshot = await get(ref(database, `tournaments/${codeValidation.code}`));
+      if (!snapshot.exists()) {
+        setMessage('❌ Tournament not found!');
+        return;
+      }
+      setTournamentId(codeValidation.code);
+      setGameState('tournament');
+      setMessage('');
+    } catch (error) {
+      console.error('Open tournament error:', error);
+      setMessage('❌ Failed to open tournament. Check your connection.');
     }
+  };
 
-    setMessage('⏳ Joining room...');
+  const registerForTournament = async () => {
+    const validation = validatePlayerName(playerName);
+    if (!validation.valid) {
+      setMessage(`❌ ${validation.error}`);
+      return;
+    }
+    if (Object.keys(tournament.players || {}).length >= MAX_TOURNAMENT_PLAYERS) {
+      setMessage(`❌ Tournament is full (${MAX_TOURNAMENT_PLAYERS} players).`);
+      return;
+    }
 
     try {
-      const roomRef = ref(database, `rooms/${roomValidation.code}`);
-      const snapshot = await get(roomRef);
-      const data = snapshot.val();
-
-      if (!data) {
-        setMessage('❌ Room not found!');
-        return;
-      }
+      await set(ref(database, `tournaments/${tournamentId}/players/${playerId}`), {
+        id: playerId,
+        name: validation.name,
+        joinedAt: Date.now()
+      });
+      setMessage('');
+    } catch (error) {
+      console.error('Register error:', error);
+      setMessage('❌ Failed to register. Registration may be closed.');
+    }
+  };
 
-      // Restore score if player was in this room before
-      const previousScore = data.scoreHistory?.[nameValidation.name] || 0;
+  // Players withdraw themselves; the organizer can remove anyone before the start
+  const unregisterFromTournament = async (targetPlayerId) => {
+    try {
+      await set(ref(database, `tournaments/${tournamentId}/players/${targetPlayerId}`), null);
+    } catch (error) {
+      console.error('Unregister error:', error);
+      setMessage('❌ Failed to update registration. Try again.');
+    }
+  };
 
-      setGameMode('multi');
-      setRoomId(roomValidation.code);
+  // Seed the bracket in a random order and close registration
+  const startTournament = async () => {
+    const ids = Object.values(tournament.players || {})
+      .sort((a, b) => a.joinedAt - b.joinedAt)
+      .map(p => p.id);
+    if (ids.length < MIN_TOURNAMENT_PLAYERS) return;
 
-      await update(roomRef, {
-        [`players/${playerId}`]: {
-          id: playerId,
-          name: nameValidation.name,
-          score: previousScore,
-          ready: false,
-          sittingOut: false,
-          joinedAt: Date.now()
-        },
-        gameStarted: true
+    try {
+      await update(ref(database, `tournaments/${tournamentId}`), {
+        matches: createBracket(shuffle(createRandom(createSeed()), ids), tournament.format),
+        status: 'running',
+        startedAt: Date.now()
       });
+    } catch (error) {
+      console.error('Start tournament error:', error);
+      setMessage('❌ Failed to start tournament. Try again.');
+    }
+  };
 
-      setGameState('playing');
-      setMessage('');
+  // Open a two-player room for a match. Its first player hosts, and
+  // verifyWinClaim reports the result once someone reaches the match's
+  // pointsToWin rule.
+  const startMatch = async (match) => {
+    try {
+      const code = await reserveCode('rooms', newRoom({
+        host: match.playerA,
+        players: [match.playerA, match.playerB].map(id => newPlayer(id, tournament.players[id]?.name || 'Player')),
+        difficulty: tournament.difficulty,
+        maxPlayers: 2,
+        rules: { pointsToWin: tournament.pointsToWin },
+        gameStarted: true,
+        match: { tournamentId, matchId: match.id }
+      }));
+      if (!code) return;
+
+      // First room wins; a duplicate from a second organizer tab is left to the stale room cleanup
+      await runTransaction(ref(database, `tournaments/${tournamentId}/matches/${match.id}/roomId`), (current) =>
+        current ? undefined : code
+      );
     } catch (error) {
-      console.error('Join room error:', error);
-      setMessage('❌ Failed to join room. Check your connection.');
+      console.error('Start match error:', error);
+      setMessage('❌ Failed to open a match room.');
     }
   };
 
-  const copyRoomLink = () => {
-    const link = `${window.location.origin}${window.location.pathname}?room=${roomId}`;
-    navigator.clipboard.writeText(link);
+  const playMatch = (code) => {
+    setIsSpectating(false);
+    setGameMode('multi');
+    setRoomId(code);
+    setGameState('playing');
+    setMessage('');
+  };
+
+  const backToBracket = () => {
+    setTournamentId(roomData.tournamentId); // Lost if the page was refreshed mid-match
+    clearSession();
+    setIsSpectating(false);
+    setGameMode(null);
+    setRoomId(null);
+    setRoomData(null);
+    setGameState('tournament');
+    setMessage('');
+  };
+
+  const leaveTournament = () => {
+    setTournamentId(null);
+    setTournament(null);
+    setGameState('setup');
+    setMessage('');
+  };
+
+  const copyToClipboard = (text) => {
+    navigator.clipboard.writeText(text);
     setCopied(true);
-    setTimeout(() => setCopied(false), 2000);
+    setTimeout(() => setCopied(false), COPY_FEEDBACK_DURATION);
+  };
+
+  const copyRoomLink = () => {
+    copyToClipboard(`${window.location.origin}${window.location.pathname}?room=${roomId}`);
+  };
+
+  // First card touched (or solution typed) this round marks the player active
+  const markActive = () => {
+    const me = roomData?.players?.[playerId];
+    if (gameMode === 'multi' && me && me.lastActiveRound !== roomData.roundNumber) {
+      update(ref(database, `rooms/${roomId}/players/${playerId}`), {
+        lastActiveRound: roomData.roundNumber,
+        lastSeen: serverTimestamp()
+      }).catch((error) => console.error('Failed to record activity:', error));
+    }
   };
 
   const handleCardClick = async (card) => {
-    if (gameState !== 'playing' || iWon) return;
+    if (gameState !== 'playing' || iWon || isSpectating) return;
     if (gameMode === 'multi' && clockTimer === 0) return;
 
+    markActive();
+
     // If clicking the same card that's already selected (and no operation chosen), deselect it
     if (selectedCard?.id === card.id && !selectedOperation) {
       setSelectedCard(null);
@@ -548,6 +1689,12 @@ function TwentyFourGame() {
       return;
     }
     
+    // sqrt and ! apply to the selected card straight away
+    if (isUnary(op)) {
+      await combineCards(selectedCard, null, op);
+      return;
+    }
+
     // If clicking the same operation, deselect it
     if (selectedOperation === op) {
       setSelectedOperation(null);
@@ -557,90 +1704,114 @@ function TwentyFourGame() {
     
     // Otherwise, set/switch to the clicked operation
     setSelectedOperation(op);
-    setMessage(`${selectedCard.isOriginal ? `${selectedCard.rank}${selectedCard.suit}` : selectedCard.rank} ${op} ... Select the second card.`);
+    setMessage(`${selectedCard.isOriginal ? `${selectedCard.rank}${selectedCard.suit}` : selectedCard.rank} ${OPERATION_LABELS[op]} ... Select the second card.`);
   };
 
+  // card2 is null for sqrt and !
   const combineCards = async (card1, card2, operation) => {
-    if (card1.id === card2.id) {
+    if (card1.id === card2?.id) {
       setMessage('Please select two different cards!');
       return;
     }
 
-    // Get numeric values - use stored value if available, otherwise parse rank
-    const val1 = card1.value !== undefined 
-      ? card1.value 
-      : (CARD_VALUES[card1.rank] || parseFloat(card1.rank));
-    
-    const val2 = card2.value !== undefined 
-      ? card2.value 
-      : (CARD_VALUES[card2.rank] || parseFloat(card2.rank));
-    
-    let result;
-    let displayValue;
+    if (!card2 && moveHistory.filter(move => isUnary(move.op)).length >= MAX_UNARY_MOVES) {
+      setMessage(`Only ${MAX_UNARY_MOVES} √ or ! moves per hand!`);
+      return;
+    }
+
+    const val1 = cardValue(card1);
+    const val2 = card2 && cardValue(card2);
     
-    switch (operation) {
-      case '+':
-        result = val1 + val2;
-        displayValue = result.toString();
-        break;
-      case '-':
-        result = val1 - val2;
-        displayValue = result.toString();
-        break;
-      case '*':
-        result = val1 * val2;
-        displayValue = result.toString();
-        break;
-      case '/':
-        if (val2 === 0) {
-          setMessage('Cannot divide by zero!');
-          setSelectedCard(null);
-          setSelectedOperation(null);
-          return;
-        }
-        result = val1 / val2;
-        if (Number.isInteger(result)) {
-          displayValue = result.toString();
-        } else {
-          const frac = toFraction(result);
-          displayValue = `${frac.numerator}/${frac.denominator}`;
-        }
-        break;
-      default:
-        return;
+    if (operation === '/' && isZero(val2)) {
+      setMessage('Cannot divide by zero!');
+      setSelectedCard(null);
+      setSelectedOperation(null);
+      return;
+    }
+
+    const result = applyOperation(val1, val2, operation);
+    if (result === null) {
+      // Extra operations have limits: whole exponents, perfect squares, small factorials
+      setMessage(`Cannot use ${OPERATION_LABELS[operation]} there!`);
+      setSelectedOperation(null);
+      return;
     }
 
+    const displayValue = formatFraction(result);
+
     // Save current state for undo
     setCardHistory([...cardHistory, { cards: [...cards], moveHistory: [...moveHistory] }]);
 
+    // Keyboard users keep their place: focus moves to the new card
+    refocusCardRef.current = cardRefs.current.includes(document.activeElement);
+
     const newCard = {
       rank: displayValue,
       suit: null,
-      id: `result-${Date.now()}`,
+      id: `result-${Date.now()}-${moveHistory.length}`,
       isOriginal: false,
       value: result
     };
 
-    const newCards = cards.filter(c => c.id !== card1.id && c.id !== card2.id);
+    const newCards = cards.filter(c => c.id !== card1.id && c.id !== card2?.id);
     newCards.push(newCard);
 
-    const card1Display = card1.isOriginal ? `${card1.rank}${card1.suit}` : card1.rank;
-    const card2Display = card2.isOriginal ? `${card2.rank}${card2.suit}` : card2.rank;
+    const cardDisplay = (card) => (card.isOriginal ? `${card.rank}${card.suit}` : card.rank);
     
-    const newMoveHistory = [...moveHistory, `${card1Display} ${operation} ${card2Display} = ${displayValue}`];
+    // Each entry keeps the card ids so the win can be replayed and verified
+    const newMoveHistory = [...moveHistory, {
+      left: card1.id,
+      op: operation,
+      right: card2 ? card2.id : null,
+      result: newCard.id,
+      text: moveText(cardDisplay(card1), operation, card2 && cardDisplay(card2), displayValue)
+    }];
+
+    await settleBoard(newCards, newMoveHistory);
+  };
+
+  // A typed solution replaces the board with the dealt cards worked through
+  // its moves, exactly as if they had been clicked
+  const submitExpression = async (text) => {
+    if (gameState !== 'playing' || iWon || isSpectating) return;
+    if (gameMode === 'multi' && clockTimer === 0) return;
+
+    const parsed = parseExpression(text, originalCards, activeOperations, `result-${Date.now()}`);
+    if (parsed.error) {
+      setMessage(`❌ ${parsed.error}`);
+      return;
+    }
+
+    markActive();
+    const steps = replayMoves(originalCards, parsed.moves);
+    const newMoveHistory = parsed.moves.map((move, i) => ({ ...move, text: steps[i + 1].text }));
+    setCardHistory([...cardHistory, { cards: [...cards], moveHistory: [...moveHistory] }]);
+    await settleBoard(steps[steps.length - 1].cards, newMoveHistory);
+  };
+
+  // Show the board after a move (clicked or typed) and check for a win. The
+  // last card is the newest result.
+  const settleBoard = async (newCards, newMoveHistory) => {
+    const displayValue = newCards[newCards.length - 1].rank;
 
     setCards(newCards);
     setMoveHistory(newMoveHistory);
     setSelectedCard(null);
     setSelectedOperation(null);
 
-    // Check win condition
+    // Check win condition - rooms can set their own target
+    const target = gameMode === 'multi' ? withDefaults(roomData?.rules).target : 24;
     if (newCards.length === 1) {
-      const finalValue = newCards[0].value || CARD_VALUES[newCards[0].rank] || parseFloat(newCards[0].rank);
-      if (Math.abs(finalValue - 24) < EPSILON) {
-        if (gameMode === 'single') {
+      const finalValue = cardValue(newCards[0]);
+      if (equals(finalValue, fraction(target))) {
+        if (gameMode === 'daily') {
+          setWinner(SOLO_WINNER);
+          setIWon(true);
+          recordDailyTime(timer);
+          setMessage(`🎉 Solved in ${timer}s!`);
+        } else if (gameMode === 'single') {
           // Single player win
-          setWinner(playerId);
+          setWinner(SOLO_WINNER);
           setIWon(true);
           setSinglePlayerScore(prev => prev + 1);
           
@@ -652,34 +1823,34 @@ function TwentyFourGame() {
             setMessage(`🎉 You won in ${timer}s!`);
           }
         } else {
-          // Multiplayer win
-          const roomRef = ref(database, `rooms/${roomId}`);
+          // Multiplayer win - submit the moves as a claim. The verifyWinClaim
+          // Cloud Function replays them against the dealt cards and awards
+          // the point to the first valid claim.
+          const finishTime = Date.now() + serverTimeOffset;
 
-          // Check if someone already won
           if (!winner) {
             try {
-              const newScore = (roomData.players[playerId]?.score || 0) + 1;
-
-              await update(roomRef, {
-                winner: playerId,
-                winTime: Date.now(),
-                [`players/${playerId}/score`]: newScore
+              const claimRef = ref(database, `rooms/${roomId}/claims/${playerId}`);
+              await set(claimRef, {
+                round: roomData.roundNumber,
+                moves: newMoveHistory.map(({ left, op, right, result }) => ({ left, op, right, result })),
+                // Stamped by the database, so the deadline and winTime use server time
+                submittedAt: serverTimestamp()
               });
-              setIWon(true);
-              setMessage('🎉 You won!');
+              setMessage('⏳ Checking your solution...');
             } catch (error) {
               console.error('Failed to record win:', error);
               setMessage('❌ Error saving win. Please try again.');
             }
           } else {
-            setMessage(`${roomData?.players?.[winner]?.name || 'Someone'} already won! But you finished!`);
+            setMessage(lostRaceMessage(roomData, finishTime));
           }
         }
       } else {
-        setMessage(`❌ Final value is ${displayValue}, not 24. Keep trying!`);
+        setMessage(`❌ Final value is ${displayValue}, not ${target}. Keep trying!`);
       }
     } else {
-      if (gameMode === 'single') {
+      if (gameMode !== 'multi') {
         setMessage(`Result: ${displayValue}. ${newCards.length} cards remaining.`);
       } else {
         const msg = winner 
@@ -700,7 +1871,7 @@ function TwentyFourGame() {
     setSelectedCard(null);
     setSelectedOperation(null);
     
-    if (gameMode === 'single') {
+    if (gameMode !== 'multi') {
       setMessage('Last move undone. Continue playing!');
     } else {
       setMessage(winner ? `${roomData.players[winner]?.name} won! Keep playing to finish.` : 'Last move undone. Continue playing!');
@@ -708,13 +1879,14 @@ function TwentyFourGame() {
   };
 
   const resetBoard = () => {
+    if (gameMode === 'multi') setResetCount(count => count + 1);
     setCards([...originalCards]);
     setMoveHistory([]);
     setCardHistory([]);
     setSelectedCard(null);
     setSelectedOperation(null);
     
-    if (gameMode === 'single') {
+    if (gameMode !== 'multi') {
       setMessage('Board reset to original cards.');
     } else {
       setMessage(winner ? `${roomData.players[winner]?.name} won! Board reset.` : 'Board reset to original cards.');
@@ -727,13 +1899,30 @@ function TwentyFourGame() {
 
     try {
       const roomRef = ref(database, `rooms/${roomId}`);
-      await update(roomRef, { [`players/${targetPlayerId}`]: null });
+      await update(roomRef, {
+        [`players/${targetPlayerId}`]: null,
+        playerCount: increment(-1)
+      });
     } catch (error) {
       console.error('Failed to kick player:', error);
       setMessage('❌ Failed to kick player. Try again.');
     }
   };
 
+  const transferHost = async (targetPlayerId) => {
+    if (roomData?.host !== playerId) return;
+    if (targetPlayerId === playerId) return;
+
+    try {
+      const roomRef = ref(database, `rooms/${roomId}`);
+      await update(roomRef, { host: targetPlayerId });
+      setMessage(`👑 ${roomData.players[targetPlayerId]?.name} is now the host.`);
+    } catch (error) {
+      console.error('Failed to transfer host:', error);
+      setMessage('❌ Failed to transfer host. Try again.');
+    }
+  };
+
   const toggleSitOut = async () => {
     if (!roomId) return;
 
@@ -741,7 +1930,11 @@ function TwentyFourGame() {
 
     try {
       const roomRef = ref(database, `rooms/${roomId}`);
-      await update(roomRef, { [`players/${playerId}/sittingOut`]: newSitOutStatus });
+      await update(roomRef, {
+        [`players/${playerId}/sittingOut`]: newSitOutStatus,
+        // Coming back counts as activity, so the idle count starts fresh
+        ...(!newSitOutStatus && { [`players/${playerId}/lastActiveRound`]: roomData?.roundNumber || 1 })
+      });
       setIsSittingOut(newSitOutStatus);
 
       if (newSitOutStatus) {
@@ -764,28 +1957,43 @@ function TwentyFourGame() {
   };
 
   const startNewRound = async () => {
-    const newCards = generateCards();
     const newRoundNumber = (roomData.roundNumber || 1) + 1;
+    const newCards = dealCards(roomData.seed, newRoundNumber, roomData.difficulty, roomData.rules);
     const roomRef = ref(database, `rooms/${roomId}`);
+    if (!newCards) {
+      setMessage('❌ Could not deal a solvable hand with these rules.');
+      return;
+    }
 
     const updates = {
       originalCards: newCards,
       winner: null,
+      winTime: null,
+      winningMoves: null,
+      claims: null,
+      progress: null,
       clocked: false,
-      roundNumber: newRoundNumber
+      clockDeadline: roundDeadline(roomData.rules, serverTimeOffset),
+      roundNumber: newRoundNumber,
+      lastActivityAt: serverTimestamp()
     };
 
-    Object.keys(roomData.players).forEach(pid => {
-      updates[`players/${pid}/ready`] = false;
+    Object.values(roomData.players).forEach(p => {
+      updates[`players/${p.id}/ready`] = false;
+
+      // Only the host may change other players' seats
+      if (roomData.host === playerId && !p.sittingOut && idleRounds(p, newRoundNumber) >= IDLE_ROUNDS_FOR_SIT_OUT) {
+        updates[`players/${p.id}/sittingOut`] = true;
+      }
     });
 
     await update(roomRef, updates);
   };
 
   const checkAndStartNextRound = async () => {
-    if (!roomData || !roomData.players) return;
+    if (!roomData || !roomData.players || roomData.matchWinner) return;
 
-    const activePlayers = Object.values(roomData.players).filter(p => !p.sittingOut);
+    const activePlayers = Object.values(roomData.players).filter(p => !p.sittingOut && p.online !== false);
     const readyCount = activePlayers.filter(p => p.ready).length;
 
     if (readyCount === activePlayers.length && activePlayers.length > 0 && roomData.host === playerId) {
@@ -816,8 +2024,27 @@ function TwentyFourGame() {
     }
   };
 
+  const clockOpponents = async () => {
+    if (!iWon || !roomData || roomData.clocked) return;
+
+    try {
+      const roomRef = ref(database, `rooms/${roomId}`);
+      // Clocking never extends a round that already has less time left
+      const clockEnd = Date.now() + serverTimeOffset + CLOCK_DURATION * 1000;
+      await update(roomRef, {
+        clocked: true,
+        clockDeadline: roomData.clockDeadline ? Math.min(roomData.clockDeadline, clockEnd) : clockEnd
+      });
+      setMessage(`⏰ Clocked! Everyone else has ${CLOCK_DURATION} seconds.`);
+    } catch (error) {
+      console.error('Failed to start clock:', error);
+      setMessage('❌ Failed to start the clock. Try again.');
+    }
+  };
+
+  // Only the host may deal, so only a winning host can skip the wait
   const skipToNextRound = async () => {
-    if (!iWon || clockTimer !== 0 || !roomData) return;
+    if (!iWon || clockTimer !== 0 || !roomData || roomData.host !== playerId) return;
 
     try {
       await startNewRound();
@@ -827,6 +2054,81 @@ function TwentyFourGame() {
     }
   };
 
+  // Whether the board takes moves right now
+  const boardLocked = gameMode === 'multi'
+    ? iWon || isSittingOut || isSpectating || clockTimer === 0
+    : Boolean(winner);
+
+  // Keyboard play: number keys pick cards by position and arrows move focus
+  // between them, + - * / (and ^ s ! | when allowed) pick operations,
+  // Backspace undoes, R resets, Escape clears the selection and Space/Enter
+  // moves on once the round is over
+  const handleKeyDown = (e) => {
+    if (gameState !== 'playing' || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    const position = Number(key);
+    const operation = KEY_OPERATIONS[key];
+
+    if (Number.isInteger(position) && position >= 1 && position <= cards.length) {
+      e.preventDefault();
+      if (!boardLocked) handleCardClick(cards[position - 1]);
+    } else if (operation && [...OPERATIONS, ...activeOperations].includes(operation)) {
+      e.preventDefault();
+      if (!boardLocked) handleOperationClick(operation);
+    } else if (key.startsWith('Arrow')) {
+      const buttons = cardRefs.current.slice(0, cards.length);
+      if (buttons.length === 0) return;
+      e.preventDefault();
+      const columns = originalCards.length > 4 && gameMode === 'multi' ? 3 : 2;
+      const step = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -columns, ArrowDown: columns }[key];
+      const current = buttons.indexOf(document.activeElement);
+      const next = current === -1 ? 0 : Math.min(Math.max(current + step, 0), buttons.length - 1);
+      buttons[next]?.focus();
+    } else if (key === 'Backspace') {
+      e.preventDefault();
+      if (!boardLocked) undoLastMove();
+    } else if (key === 'r') {
+      e.preventDefault();
+      if (!boardLocked) resetBoard();
+    } else if (key === 'Escape') {
+      setSelectedCard(null);
+      setSelectedOperation(null);
+    } else if ((key === ' ' || key === 'Enter') && !['BUTTON', 'A'].includes(e.target.tagName)) {
+      // On a focused button these keys press it instead
+      if (gameMode === 'single' && winner) {
+        e.preventDefault();
+        nextRoundSinglePlayer();
+      } else if (gameMode === 'daily' && winner) {
+        e.preventDefault();
+        advanceDaily(dailyTimes);
+      } else if (gameMode === 'multi' && !isSpectating && !isSittingOut && !roomData?.matchWinner &&
+        (winner || clockTimer === 0) && !(myReady || roomData?.players?.[playerId]?.ready)) {
+        e.preventDefault();
+        readyUp();
+      }
+    }
+  };
+
+  useEffect(() => {
+    keyHandlerRef.current = handleKeyDown;
+  });
+
+  useEffect(() => {
+    const onKeyDown = (e) => keyHandlerRef.current?.(e);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // After combining the focused card, focus the result so the keyboard
+  // user's place on the board isn't lost
+  useEffect(() => {
+    if (!refocusCardRef.current) return;
+    refocusCardRef.current = false;
+    cardRefs.current[cards.length - 1]?.focus();
+  }, [cards]);
+
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
     const secs = seconds % 60;
@@ -840,28 +2142,205 @@ function TwentyFourGame() {
           <h1 className="text-3xl font-semibold text-gray-900">24</h1>
         </div>
 
-        {/* Mode Selection */}
-        {!gameMode && gameState === 'setup' && (
-          <div className="flex gap-3 justify-center">
-            <button
-              onClick={() => {
-                setGameMode('single');
-                startSinglePlayerGame();
-              }}
-              className="px-6 py-3 border border-gray-300 hover:border-gray-900 hover:bg-gray-50 rounded text-gray-700 hover:text-gray-900 transition"
-            >
-              Solo
-            </button>
-            <button
-              onClick={() => setGameMode('multi')}
-              className="px-6 py-3 border border-gray-300 hover:border-gray-900 hover:bg-gray-50 rounded text-gray-700 hover:text-gray-900 transition"
-            >
-              Multiplayer
-            </button>
+        {/* Mode Selection */}
+        {!gameMode && gameState === 'setup' && (
+          <div className="space-y-4">
+            <div className="flex gap-3 justify-center">
+              <button
+                onClick={() => {
+                  setGameMode('single');
+                  startSinglePlayerGame();
+                }}
+                className="px-6 py-3 border border-gray-300 hover:border-gray-900 hover:bg-gray-50 rounded text-gray-700 hover:text-gray-900 transition"
+              >
+                Solo
+              </button>
+              <button
+                onClick={startDailyChallenge}
+                className="px-6 py-3 border border-gray-300 hover:border-gray-900 hover:bg-gray-50 rounded text-gray-700 hover:text-gray-900 transition"
+              >
+                Daily
+              </button>
+              <button
+                onClick={() => setGameMode('multi')}
+                className="px-6 py-3 border border-gray-300 hover:border-gray-900 hover:bg-gray-50 rounded text-gray-700 hover:text-gray-900 transition"
+              >
+                Multiplayer
+              </button>
+              <button
+                onClick={() => {
+                  setMessage('');
+                  setGameState('tournamentSetup');
+                }}
+                className="px-6 py-3 border border-gray-300 hover:border-gray-900 hover:bg-gray-50 rounded text-gray-700 hover:text-gray-900 transition"
+              >
+                Tournament
+              </button>
+            </div>
+            <DifficultyPicker value={difficulty} onChange={setDifficulty} />
+            <OperationsPicker label="Solo extras" value={soloOperations} onChange={setSoloOperations} />
+            <div className="text-center text-xs text-gray-400">
+              {account ? (
+                <>
+                  Signed in as {account} ·{' '}
+                  <button onClick={signOutAccount} className="hover:text-gray-900 transition">
+                    Sign out
+                  </button>
+                </>
+              ) : (
+                <button onClick={linkAccount} className="hover:text-gray-900 transition">
+                  Save progress with Google
+                </button>
+              )}
+            </div>
+            {message && (
+              <div className={`text-center text-sm ${
+                message.includes('❌') ? 'text-red-600' : 'text-gray-600'
+              }`}>
+                {message}
+              </div>
+            )}
+          </div>
+        )}
+
+        {gameMode === 'multi' && gameState === 'setup' && (
+          <div className="space-y-4 max-w-sm mx-auto">
+            <input
+              type="text"
+              placeholder="Your name"
+              value={playerName}
+              onChange={(e) => setPlayerName(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded focus:border-gray-900 focus:outline-none"
+            />
+            <DifficultyPicker value={difficulty} onChange={setDifficulty} />
+            <CapacityPicker value={maxPlayers} onChange={setMaxPlayers} />
+            <OnOffPicker label="Room" value={isPublic} onChange={setIsPublic} labels={['Private', 'Public']} />
+            <OnOffPicker label="Progress" value={!hideProgress} onChange={(shown) => setHideProgress(!shown)} labels={['Hidden', 'Shown']} />
+            <div className="text-center text-xs">
+              <button onClick={() => setShowRules(!showRules)} className="text-gray-500 hover:text-gray-900 transition">
+                Rules: {describeRules(rules).join(' · ') || 'Classic 24'} {showRules ? '▴' : '▾'}
+              </button>
+            </div>
+            {showRules && <RulesPicker rules={rules} onChange={setRules} />}
+            <div className="flex gap-2 justify-center pt-2">
+              <button
+                onClick={() => setGameMode(null)}
+                className="px-4 py-2 text-gray-500 hover:text-gray-900 transition text-sm"
+              >
+                ← Back
+              </button>
+              <button
+                onClick={createRoom}
+                disabled={isLoading}
+                className="px-4 py-2 border border-gray-300 hover:border-gray-900 rounded transition text-sm disabled:opacity-50"
+              >
+                {isLoading ? 'Creating...' : 'Create'}
+              </button>
+              <button
+                onClick={() => setGameState('join')}
+                disabled={isLoading}
+                className="px-4 py-2 border border-gray-300 hover:border-gray-900 rounded transition text-sm disabled:opacity-50"
+              >
+                Join
+              </button>
+              <button
+                onClick={joinQueue}
+                disabled={isLoading}
+                className="px-4 py-2 border border-gray-300 hover:border-gray-900 rounded transition text-sm disabled:opacity-50"
+              >
+                Quick match
+              </button>
+              <button
+                onClick={() => {
+                  setMessage('');
+                  setGameState('lobby');
+                }}
+                disabled={isLoading}
+                className="px-4 py-2 border border-gray-300 hover:border-gray-900 rounded transition text-sm disabled:opacity-50"
+              >
+                Browse
+              </button>
+            </div>
+            {message && (
+              <div className={`text-center text-sm ${
+                message.includes('❌') ? 'text-red-600' : 'text-gray-600'
+              }`}>
+                {message}
+              </div>
+            )}
+          </div>
+        )}
+
+        {gameState === 'lobby' && (
+          <div className="space-y-3 max-w-md mx-auto">
+            <input
+              type="text"
+              placeholder="Your name"
+              value={playerName}
+              onChange={(e) => setPlayerName(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded focus:border-gray-900 focus:outline-none"
+            />
+            <div className="space-y-2">
+              {publicRooms.length === 0 ? (
+                <div className="text-center text-sm text-gray-400 py-4">
+                  No public rooms right now
+                </div>
+              ) : (
+                publicRooms.map((room) => (
+                  <div
+                    key={room.code}
+                    className="flex items-center justify-between px-3 py-2 border border-gray-200 rounded text-sm"
+                  >
+                    <div>
+                      <div>
+                        <span className="font-mono">{room.code}</span>
+                        <span className="text-gray-500 ml-2">{room.hostName}</span>
+                      </div>
+                      <div className="text-xs text-gray-400">
+                        {room.playerCount}/{room.maxPlayers} players · {DIFFICULTY_LABELS[room.difficulty]} ·{' '}
+                        {room.rules.map(label => `${label} · `).join('')}
+                        {room.inProgress ? `Round ${room.roundNumber} in progress` : 'Waiting to start'}
+                      </div>
+                    </div>
+                    <div className="flex gap-1">
+                      {room.playerCount < room.maxPlayers && (
+                        <button
+                          onClick={() => joinRoom(playerName, room.code)}
+                          className="px-3 py-1 border border-gray-300 hover:border-gray-900 rounded transition text-sm"
+                        >
+                          Join
+                        </button>
+                      )}
+                      <button
+                        onClick={() => watchRoom(room.code)}
+                        className="px-3 py-1 text-gray-500 hover:text-gray-900 transition text-sm"
+                      >
+                        Watch
+                      </button>
+                    </div>
+                  </div>
+                ))
+              )}
+            </div>
+            <div className="flex justify-center pt-2">
+              <button
+                onClick={() => setGameState('setup')}
+                className="px-4 py-2 text-gray-500 hover:text-gray-900 transition text-sm"
+              >
+                ← Back
+              </button>
+            </div>
+            {message && (
+              <div className={`text-center text-sm ${
+                message.includes('❌') ? 'text-red-600' : 'text-gray-600'
+              }`}>
+                {message}
+              </div>
+            )}
           </div>
         )}
 
-        {gameMode === 'multi' && gameState === 'setup' && (
+        {gameState === 'tournamentSetup' && (
           <div className="space-y-4 max-w-sm mx-auto">
             <input
               type="text"
@@ -870,28 +2349,175 @@ function TwentyFourGame() {
               onChange={(e) => setPlayerName(e.target.value)}
               className="w-full px-3 py-2 border border-gray-300 rounded focus:border-gray-900 focus:outline-none"
             />
+            <input
+              type="text"
+              placeholder="Tournament name (optional)"
+              value={tournamentName}
+              onChange={(e) => setTournamentName(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded focus:border-gray-900 focus:outline-none"
+            />
+            <DifficultyPicker value={difficulty} onChange={setDifficulty} />
+            <ChoicePicker
+              label="Format"
+              value={tournamentFormat}
+              options={TOURNAMENT_FORMATS}
+              onChange={setTournamentFormat}
+              labelFor={(format) => FORMAT_LABELS[format]}
+            />
+            <ChoicePicker label="First to" value={pointsToWin} options={POINTS_TO_WIN_OPTIONS} onChange={setPointsToWin} />
             <div className="flex gap-2 justify-center pt-2">
               <button
-                onClick={() => setGameMode(null)}
+                onClick={() => setGameState('setup')}
                 className="px-4 py-2 text-gray-500 hover:text-gray-900 transition text-sm"
               >
                 ← Back
               </button>
               <button
-                onClick={createRoom}
+                onClick={createTournament}
                 disabled={isLoading}
                 className="px-4 py-2 border border-gray-300 hover:border-gray-900 rounded transition text-sm disabled:opacity-50"
               >
                 {isLoading ? 'Creating...' : 'Create'}
               </button>
+            </div>
+            <div className="flex gap-2 pt-2 border-t border-gray-200">
+              <input
+                type="text"
+                placeholder="Tournament code"
+                value={tournamentCode}
+                onChange={(e) => setTournamentCode(e.target.value.toUpperCase())}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded focus:border-gray-900 focus:outline-none font-mono"
+              />
               <button
-                onClick={() => setGameState('join')}
-                disabled={isLoading}
-                className="px-4 py-2 border border-gray-300 hover:border-gray-900 rounded transition text-sm disabled:opacity-50"
+                onClick={() => openTournament()}
+                className="px-4 py-2 border border-gray-300 hover:border-gray-900 rounded transition text-sm"
               >
-                Join
+                Open
+              </button>
+            </div>
+            {message && (
+              <div className={`text-center text-sm ${
+                message.includes('❌') ? 'text-red-600' : 'text-gray-600'
+              }`}>
+                {message}
+              </div>
+            )}
+          </div>
+        )}
+
+        {gameState === 'tournament' && tournament && (
+          <div className="space-y-4">
+            <div className="flex justify-between items-center text-sm">
+              <span className="font-semibold">{tournament.name}</span>
+              <span className="text-xs text-gray-400">
+                {FORMAT_LABELS[tournament.format]} · First to {tournament.pointsToWin} · {DIFFICULTY_LABELS[tournament.difficulty]}
+              </span>
+              <button
+                onClick={() => copyToClipboard(`${window.location.origin}${window.location.pathname}?tournament=${tournamentId}`)}
+                className="font-mono text-gray-500 hover:text-gray-900 transition"
+              >
+                {copied ? 'Copied' : tournamentId}
+              </button>
+            </div>
+
+            {tournament.champion && (
+              <div className="text-center text-sm">
+                🏆 {tournament.players?.[tournament.champion]?.name} wins the tournament!
+              </div>
+            )}
+
+            {tournament.status === 'registering' ? (
+              <div className="space-y-3 max-w-sm mx-auto">
+                <div className="text-center text-sm text-gray-500">
+                  {Object.keys(tournament.players || {}).length} registered
+                </div>
+                <div className="space-y-1 text-sm">
+                  {Object.values(tournament.players || {}).map((player) => (
+                    <div key={player.id} className="flex justify-between">
+                      <span>
+                        {player.name} {player.id === playerId && <span className="text-gray-400">(you)</span>}
+                      </span>
+                      {(player.id === playerId || tournament.organizer === playerId) && (
+                        <button
+                          onClick={() => unregisterFromTournament(player.id)}
+                          className="text-gray-400 hover:text-red-500"
+                        >
+                          ×
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+                {!tournament.players?.[playerId] && (
+                  <div className="flex gap-2">
+                    <input
+                      type="text"
+                      placeholder="Your name"
+                      value={playerName}
+                      onChange={(e) => setPlayerName(e.target.value)}
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded focus:border-gray-900 focus:outline-none"
+                    />
+                    <button
+                      onClick={registerForTournament}
+                      className="px-4 py-2 border border-gray-300 hover:border-gray-900 rounded transition text-sm"
+                    >
+                      Register
+                    </button>
+                  </div>
+                )}
+              </div>
+            ) : (
+              <Bracket tournament={tournament} playerId={playerId} onPlay={playMatch} onWatch={watchRoom} />
+            )}
+
+            <div className="flex gap-2 justify-center pt-2">
+              <button
+                onClick={leaveTournament}
+                className="px-4 py-2 text-gray-500 hover:text-gray-900 transition text-sm"
+              >
+                ← Leave
               </button>
+              {tournament.status === 'registering' && tournament.organizer === playerId && (
+                <button
+                  onClick={startTournament}
+                  disabled={Object.keys(tournament.players || {}).length < MIN_TOURNAMENT_PLAYERS}
+                  className="px-4 py-2 border border-gray-300 hover:border-gray-900 rounded transition text-sm disabled:opacity-50"
+                >
+                  Start
+                </button>
+              )}
+            </div>
+            {message && (
+              <div className={`text-center text-sm ${
+                message.includes('❌') ? 'text-red-600' : 'text-gray-600'
+              }`}>
+                {message}
+              </div>
+            )}
+          </div>
+        )}
+
+        {gameState === 'queue' && (
+          <div className="space-y-4 max-w-sm mx-auto text-center">
+            <div className="text-sm text-gray-600">
+              ⏳ Looking for players · {queueWaiting}/{maxPlayers}
+            </div>
+            <div className="text-xs text-gray-400">
+              {DIFFICULTY_LABELS[difficulty]} · {maxPlayers} players
             </div>
+            <button
+              onClick={leaveQueue}
+              className="px-4 py-2 text-gray-500 hover:text-gray-900 transition text-sm"
+            >
+              Cancel
+            </button>
+            {message && (
+              <div className={`text-center text-sm ${
+                message.includes('❌') ? 'text-red-600' : 'text-gray-600'
+              }`}>
+                {message}
+              </div>
+            )}
           </div>
         )}
 
@@ -908,7 +2534,10 @@ function TwentyFourGame() {
               type="text"
               placeholder="Room code"
               value={joinRoomId}
-              onChange={(e) => setJoinRoomId(e.target.value.toUpperCase())}
+              onChange={(e) => {
+                setJoinRoomId(e.target.value.toUpperCase());
+                setRoomFull(false);
+              }}
               className="w-full px-3 py-2 border border-gray-300 rounded focus:border-gray-900 focus:outline-none font-mono"
             />
             <div className="flex gap-2 justify-center pt-2">
@@ -922,19 +2551,34 @@ function TwentyFourGame() {
                 ← Back
               </button>
               <button
-                onClick={joinRoom}
+                onClick={() => joinRoom()}
                 className="px-4 py-2 border border-gray-300 hover:border-gray-900 rounded transition text-sm"
               >
                 Join
               </button>
+              <button
+                onClick={() => watchRoom()}
+                className="px-4 py-2 border border-gray-300 hover:border-gray-900 rounded transition text-sm"
+              >
+                {roomFull ? 'Watch instead' : 'Watch'}
+              </button>
             </div>
+            {message && (
+              <div className={`text-center text-sm ${
+                message.includes('❌') ? 'text-red-600' : 'text-gray-600'
+              }`}>
+                {message}
+              </div>
+            )}
           </div>
         )}
 
         {gameState === 'waiting' && (
           <div className="space-y-4 max-w-sm mx-auto text-center">
             <div className="text-sm text-gray-500">
-              {Object.keys(roomData?.players || {}).length} players
+              {Object.keys(roomData?.players || {}).length}/{roomData?.maxPlayers || MAX_PLAYERS} players
+              {roomData?.difficulty && ` · ${DIFFICULTY_LABELS[roomData.difficulty]}`}
+              {describeRules(roomData?.rules).map(label => ` · ${label}`).join('')}
             </div>
             <div className="font-mono text-2xl tracking-wider">{roomId}</div>
             <div className="flex gap-2">
@@ -961,24 +2605,35 @@ function TwentyFourGame() {
             <div className="flex gap-2 justify-center pt-2">
               <button
                 onClick={() => {
-                  if (roomData?.host === playerId) {
-                    const roomRef = ref(database, `rooms/${roomId}`);
-                    set(roomRef, null);
-                  }
+                  // Clear local state first so our own listener doesn't report the room as closed
+                  clearSession();
                   setGameState('setup');
                   setGameMode(null);
                   setRoomId(null);
                   setRoomData(null);
+                  if (roomData?.host === playerId) {
+                    const roomRef = ref(database, `rooms/${roomId}`);
+                    set(roomRef, null);
+                  }
                 }}
                 className="px-4 py-2 text-gray-500 hover:text-gray-900 transition text-sm"
               >
                 Leave
               </button>
-              {roomData?.host === playerId && Object.keys(roomData?.players || {}).length >= 2 && (
+              {roomData?.host === playerId && Object.keys(roomData?.players || {}).length >= MIN_PLAYERS && (
                 <button
                   onClick={async () => {
-                    const roomRef = ref(database, `rooms/${roomId}`);
-                    await update(roomRef, { gameStarted: true });
+                    try {
+                      const roomRef = ref(database, `rooms/${roomId}`);
+                      await update(roomRef, {
+                        gameStarted: true,
+                        clockDeadline: roundDeadline(roomData.rules, serverTimeOffset),
+                        lastActivityAt: serverTimestamp()
+                      });
+                    } catch (error) {
+                      console.error('Failed to start game:', error);
+                      setMessage('❌ Failed to start the game. Try again.');
+                    }
                   }}
                   className="px-4 py-2 border border-gray-300 hover:border-gray-900 rounded transition text-sm"
                 >
@@ -989,18 +2644,58 @@ function TwentyFourGame() {
           </div>
         )}
 
-        {/* Single Player Mode */}
-        {gameMode === 'single' && gameState === 'playing' && (
+        {/* Daily Results */}
+        {gameMode === 'daily' && gameState === 'dailyDone' && (
+          <div className="space-y-4 max-w-sm mx-auto text-center">
+            <div className="text-sm text-gray-500">Daily · {dailyKey}</div>
+            <div className="text-3xl tracking-widest">{dailyShareGrid(dailyTimes)}</div>
+            <div className="text-sm text-gray-600 space-y-1">
+              {dailyTimes.map((time, i) => (
+                <div key={i} className="flex justify-between">
+                  <span className="text-gray-400">{DIFFICULTY_LABELS[DAILY_DIFFICULTIES[i]]}</span>
+                  <span className="font-mono">{time === null ? 'Skipped' : formatTime(time)}</span>
+                </div>
+              ))}
+            </div>
+            <div className="flex gap-2 justify-center pt-2">
+              <button
+                onClick={backToMenu}
+                className="px-4 py-2 text-gray-500 hover:text-gray-900 transition text-sm"
+              >
+                ← Back
+              </button>
+              <button
+                onClick={() => copyToClipboard(dailyShareText())}
+                className="px-4 py-2 border border-gray-300 hover:border-gray-900 rounded transition text-sm"
+              >
+                {copied ? 'Copied' : 'Share'}
+              </button>
+            </div>
+            <div className="text-xs text-gray-400">New puzzles every day at midnight UTC</div>
+          </div>
+        )}
+
+        {/* Single Player and Daily Mode */}
+        {(gameMode === 'single' || gameMode === 'daily') && gameState === 'playing' && (
           <div className="space-y-4">
             {/* Game Info Bar */}
             <div className="flex justify-between items-center text-sm">
-              <div className="flex items-center gap-4">
-                <span className="font-mono">{formatTime(timer)}</span>
-                <span className="text-gray-500">Score: {singlePlayerScore}</span>
-                {singlePlayerBestTime !== null && (
-                  <span className="text-gray-400">Best: {formatTime(singlePlayerBestTime)}</span>
-                )}
-              </div>
+              {gameMode === 'daily' ? (
+                <div className="flex items-center gap-4">
+                  <span className="font-mono">{formatTime(timer)}</span>
+                  <span className="text-gray-500">Puzzle {dailyIndex + 1}/{dailyPuzzles.length}</span>
+                  <span className="text-gray-400">{DIFFICULTY_LABELS[DAILY_DIFFICULTIES[dailyIndex]]}</span>
+                </div>
+              ) : (
+                <div className="flex items-center gap-4">
+                  <span className="font-mono">{formatTime(timer)}</span>
+                  <span className="text-gray-500">Score: {singlePlayerScore}</span>
+                  <span className="text-gray-400">{DIFFICULTY_LABELS[difficulty]}</span>
+                  {singlePlayerBestTime !== null && (
+                    <span className="text-gray-400">Best: {formatTime(singlePlayerBestTime)}</span>
+                  )}
+                </div>
+              )}
               <button
                 onClick={backToMenu}
                 className="text-gray-500 hover:text-gray-900 transition"
@@ -1010,7 +2705,7 @@ function TwentyFourGame() {
             </div>
 
             {/* Winner Banner */}
-            {winner && (
+            {winner && gameMode === 'single' && (
               <div className="text-center py-4 border-y border-gray-200">
                 <div className="text-lg mb-2">Solved in {formatTime(timer)}{timer === singlePlayerBestTime && ' — New best!'}</div>
                 <button
@@ -1021,38 +2716,63 @@ function TwentyFourGame() {
                 </button>
               </div>
             )}
+            {winner && gameMode === 'daily' && (
+              <div className="text-center py-4 border-y border-gray-200">
+                <div className="text-lg mb-2">Solved in {formatTime(timer)}</div>
+                <button
+                  onClick={() => advanceDaily(dailyTimes)}
+                  className="px-4 py-2 border border-gray-300 hover:border-gray-900 rounded transition text-sm"
+                >
+                  {dailyTimes.length >= dailyPuzzles.length ? 'See Results' : 'Next Puzzle'}
+                </button>
+              </div>
+            )}
 
             {/* Cards Display */}
             <div className="grid grid-cols-2 gap-4 max-w-xs mx-auto">
-              {cards.map((card) => (
+              {cards.map((card, i) => (
                 <PlayingCard
                   key={card.id}
                   card={card}
                   isSelected={selectedCard?.id === card.id}
                   onClick={() => handleCardClick(card)}
+                  hotkey={i < 9 ? i + 1 : null}
+                  buttonRef={(el) => { cardRefs.current[i] = el; }}
                   disabled={winner}
                 />
               ))}
             </div>
 
             {/* Operations */}
-            <div className="flex gap-2 justify-center">
-              {['+', '-', '×', '÷'].map((op, i) => (
+            <div className="flex flex-wrap gap-2 justify-center">
+              {[...OPERATIONS, ...activeOperations].map((op) => (
                 <button
                   key={op}
-                  onClick={() => handleOperationClick(['+', '-', '*', '/'][i])}
+                  onClick={() => handleOperationClick(op)}
+                  aria-label={OPERATION_NAMES[op]}
+                  aria-pressed={selectedOperation === op}
+                  aria-keyshortcuts={OPERATION_KEYS[op]}
+                  title={`${OPERATION_NAMES[op]} (${OPERATION_KEYS[op]})`}
                   disabled={!selectedCard || winner}
-                  className={`w-12 h-12 border rounded text-xl transition disabled:opacity-30 ${
-                    selectedOperation === ['+', '-', '*', '/'][i]
+                  className={`w-12 h-12 border rounded text-xl transition disabled:opacity-30 focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 ${
+                    selectedOperation === op
                       ? 'border-gray-900 bg-gray-100'
                       : 'border-gray-300 hover:border-gray-900'
                   }`}
                 >
-                  {op}
+                  {OPERATION_LABELS[op]}
                 </button>
               ))}
             </div>
 
+            <ExpressionInput
+              key={`${gameMode}-${soloRound}-${dailyIndex}`}
+              cards={originalCards}
+              operations={activeOperations}
+              disabled={Boolean(winner)}
+              onSubmit={submitExpression}
+            />
+
             {/* Actions */}
             <div className="flex gap-2 justify-center text-sm">
               <button
@@ -1069,21 +2789,28 @@ function TwentyFourGame() {
               >
                 Reset
               </button>
+              {gameMode === 'daily' && (
+                <button
+                  onClick={skipDailyPuzzle}
+                  disabled={winner}
+                  className="px-3 py-1 text-gray-500 hover:text-gray-900 disabled:opacity-30 transition"
+                >
+                  Skip
+                </button>
+              )}
             </div>
 
-            {/* Message Display */}
-            {message && (
-              <div className={`text-center text-sm py-2 ${
-                message.includes('❌') ? 'text-red-600' : 'text-gray-600'
-              }`}>
-                {message}
-              </div>
-            )}
+            {/* Message Display - always mounted so screen readers announce each change */}
+            <div role="status" aria-live="polite" className={`text-center text-sm ${message ? 'py-2' : ''} ${
+              message.includes('❌') ? 'text-red-600' : 'text-gray-600'
+            }`}>
+              {message}
+            </div>
 
             {/* Move History */}
             {moveHistory.length > 0 && (
               <div className="text-xs text-gray-400 text-center font-mono">
-                {moveHistory.join(' → ')}
+                {moveHistory.map(move => move.text).join(' → ')}
               </div>
             )}
           </div>
@@ -1101,7 +2828,10 @@ function TwentyFourGame() {
                   </span>
                 )}
               </div>
-              <span className="font-mono text-gray-400">{roomId}</span>
+              <span className="font-mono text-gray-400">
+                {roomId}
+                {roomData.difficulty && <span className="font-sans ml-2">{DIFFICULTY_LABELS[roomData.difficulty]}</span>}
+              </span>
               <button
                 onClick={copyRoomLink}
                 className="text-gray-500 hover:text-gray-900 transition"
@@ -1110,11 +2840,19 @@ function TwentyFourGame() {
               </button>
             </div>
 
+            {describeRules(roomData.rules).length > 0 && (
+              <div className="text-center text-xs text-gray-400">
+                {describeRules(roomData.rules).join(' · ')}
+              </div>
+            )}
+
             {/* Players */}
             <div className="flex flex-wrap gap-2 justify-center text-sm">
               {sortedPlayers.map((player) => {
                 const isMe = player.id === playerId;
                 const isWinner = winner === player.id;
+                const presence = presenceOf(player, roomData.roundNumber);
+                const progress = progressText(roomData.progress?.[player.id], roomData.roundNumber);
 
                 return (
                   <div
@@ -1123,37 +2861,108 @@ function TwentyFourGame() {
                       isMe ? 'border-gray-900 bg-gray-50' : 'border-gray-200'
                     }`}
                   >
+                    <span
+                      className={`inline-block w-2 h-2 rounded-full mr-2 align-middle ${PRESENCE_STYLES[presence]}`}
+                      title={presence === 'offline' && player.lastSeen
+                        ? `offline - last seen ${new Date(player.lastSeen).toLocaleTimeString()}`
+                        : presence}
+                    />
                     <span className={isWinner ? 'font-semibold' : ''}>
                       {player.name}
                     </span>
                     <span className="text-gray-400 ml-2">{player.score || 0}</span>
                     {player.sittingOut && <span className="text-gray-400 ml-1">•</span>}
+                    {!isWinner && progress && <span className="text-xs text-gray-400 ml-1">{progress}</span>}
                     {player.ready && winner && <span className="text-green-500 ml-1">✓</span>}
+                    {roomData.host === player.id && <span className="text-gray-400 ml-1">♛</span>}
                     {roomData.host === playerId && player.id !== playerId && (
-                      <button
-                        onClick={() => kickPlayer(player.id)}
-                        className="ml-2 text-gray-400 hover:text-red-500"
-                      >
-                        ×
-                      </button>
+                      <>
+                        <button
+                          onClick={() => transferHost(player.id)}
+                          title="Make host"
+                          className="ml-2 text-gray-400 hover:text-gray-900"
+                        >
+                          ♛
+                        </button>
+                        <button
+                          onClick={() => kickPlayer(player.id)}
+                          className="ml-1 text-gray-400 hover:text-red-500"
+                        >
+                          ×
+                        </button>
+                      </>
                     )}
                   </div>
                 );
               })}
             </div>
 
+            {roomData.spectators && (
+              <div className="text-center text-xs text-gray-400">
+                👁 {Object.keys(roomData.spectators).length} watching
+              </div>
+            )}
+
+            {/* Winning solution, once the round is over for this viewer */}
+            {winner && roomData.winningMoves && (isSpectating || iWon || clockTimer === 0) && (
+              <div className="text-center text-xs">
+                {revealedRound === roomData.roundNumber ? (
+                  <SolutionReplay
+                    key={roomData.roundNumber}
+                    originalCards={roomData.originalCards}
+                    moves={roomData.winningMoves}
+                    target={withDefaults(roomData.rules).target}
+                    operations={roomOperations}
+                  />
+                ) : (
+                  <button
+                    onClick={() => setRevealedRound(roomData.roundNumber)}
+                    className="text-gray-500 hover:text-gray-900 transition"
+                  >
+                    Show winning solution
+                  </button>
+                )}
+              </div>
+            )}
+
             {/* Sit Out */}
             <div className="text-center">
-              <button
-                onClick={toggleSitOut}
-                className="text-xs text-gray-500 hover:text-gray-900 transition"
-              >
-                {isSittingOut ? 'Join back in' : 'Sit out'}
-              </button>
+              {isSpectating ? (
+                <button
+                  onClick={stopWatching}
+                  className="text-xs text-gray-500 hover:text-gray-900 transition"
+                >
+                  Stop watching
+                </button>
+              ) : (
+                <button
+                  onClick={toggleSitOut}
+                  className="text-xs text-gray-500 hover:text-gray-900 transition"
+                >
+                  {isSittingOut ? 'Join back in' : 'Sit out'}
+                </button>
+              )}
             </div>
 
+            {/* Match over (pointsToWin reached) */}
+            {roomData.matchWinner && (
+              <div className="text-center py-3 border-y border-gray-200 space-y-2">
+                <div className="text-sm text-gray-600">
+                  🏆 {roomData.players?.[roomData.matchWinner]?.name} wins the match
+                </div>
+                {roomData.tournamentId && (
+                  <button
+                    onClick={backToBracket}
+                    className="px-4 py-2 border border-gray-300 hover:border-gray-900 rounded transition text-sm"
+                  >
+                    Back to bracket
+                  </button>
+                )}
+              </div>
+            )}
+
             {/* Ready Up Section */}
-            {(winner || clockTimer === 0) && (
+            {!isSpectating && !roomData.matchWinner && (winner || clockTimer === 0) && (
               <div className="text-center py-3 border-y border-gray-200 space-y-2">
                 {clockTimer === 0 && !iWon && (
                   <div className="text-sm text-gray-500">Time's up</div>
@@ -1168,7 +2977,15 @@ function TwentyFourGame() {
                         Ready
                       </button>
                     )}
-                    {iWon && clockTimer === 0 && (
+                    {iWon && !roomData.clocked && (
+                      <button
+                        onClick={clockOpponents}
+                        className="px-4 py-2 border border-gray-300 hover:border-gray-900 rounded transition text-sm"
+                      >
+                        Clock them
+                      </button>
+                    )}
+                    {iWon && clockTimer === 0 && roomData?.host === playerId && (
                       <button
                         onClick={skipToNextRound}
                         className="px-4 py-2 border border-gray-300 hover:border-gray-900 rounded transition text-sm"
@@ -1185,67 +3002,81 @@ function TwentyFourGame() {
             )}
 
             {/* Cards Display */}
-            <div className="grid grid-cols-2 gap-4 max-w-xs mx-auto">
-              {cards.map((card) => (
+            <div className={`grid ${originalCards.length > 4 ? 'grid-cols-3 max-w-sm' : 'grid-cols-2 max-w-xs'} gap-4 mx-auto`}>
+              {cards.map((card, i) => (
                 <PlayingCard
                   key={card.id}
                   card={card}
                   isSelected={selectedCard?.id === card.id}
                   onClick={() => handleCardClick(card)}
-                  disabled={winner || isSittingOut || clockTimer === 0}
+                  hotkey={i < 9 ? i + 1 : null}
+                  buttonRef={(el) => { cardRefs.current[i] = el; }}
+                  disabled={iWon || isSittingOut || isSpectating || clockTimer === 0}
                 />
               ))}
             </div>
 
             {/* Operations */}
-            <div className="flex gap-2 justify-center">
-              {['+', '-', '×', '÷'].map((op, i) => (
+            <div className="flex flex-wrap gap-2 justify-center">
+              {[...OPERATIONS, ...activeOperations].map((op) => (
                 <button
                   key={op}
-                  onClick={() => handleOperationClick(['+', '-', '*', '/'][i])}
-                  disabled={!selectedCard || winner || isSittingOut || clockTimer === 0}
-                  className={`w-12 h-12 border rounded text-xl transition disabled:opacity-30 ${
-                    selectedOperation === ['+', '-', '*', '/'][i]
+                  onClick={() => handleOperationClick(op)}
+                  aria-label={OPERATION_NAMES[op]}
+                  aria-pressed={selectedOperation === op}
+                  aria-keyshortcuts={OPERATION_KEYS[op]}
+                  title={`${OPERATION_NAMES[op]} (${OPERATION_KEYS[op]})`}
+                  disabled={!selectedCard || iWon || isSittingOut || isSpectating || clockTimer === 0}
+                  className={`w-12 h-12 border rounded text-xl transition disabled:opacity-30 focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 ${
+                    selectedOperation === op
                       ? 'border-gray-900 bg-gray-100'
                       : 'border-gray-300 hover:border-gray-900'
                   }`}
                 >
-                  {op}
+                  {OPERATION_LABELS[op]}
                 </button>
               ))}
             </div>
 
+            {!isSpectating && (
+              <ExpressionInput
+                key={roomData?.roundNumber}
+                cards={originalCards}
+                operations={activeOperations}
+                disabled={iWon || isSittingOut || clockTimer === 0}
+                onSubmit={submitExpression}
+              />
+            )}
+
             {/* Actions */}
             <div className="flex gap-2 justify-center text-sm">
               <button
                 onClick={undoLastMove}
-                disabled={cardHistory.length === 0 || winner || isSittingOut || clockTimer === 0}
+                disabled={cardHistory.length === 0 || iWon || isSittingOut || isSpectating || clockTimer === 0}
                 className="px-3 py-1 text-gray-500 hover:text-gray-900 disabled:opacity-30 transition"
               >
                 Undo
               </button>
               <button
                 onClick={resetBoard}
-                disabled={winner || isSittingOut || clockTimer === 0}
+                disabled={iWon || isSittingOut || isSpectating || clockTimer === 0}
                 className="px-3 py-1 text-gray-500 hover:text-gray-900 disabled:opacity-30 transition"
               >
                 Reset
               </button>
             </div>
 
-            {/* Message Display */}
-            {message && (
-              <div className={`text-center text-sm py-2 ${
-                message.includes('❌') ? 'text-red-600' : 'text-gray-600'
-              }`}>
-                {message}
-              </div>
-            )}
+            {/* Message Display - always mounted so screen readers announce each change */}
+            <div role="status" aria-live="polite" className={`text-center text-sm ${message ? 'py-2' : ''} ${
+              message.includes('❌') ? 'text-red-600' : 'text-gray-600'
+            }`}>
+              {message}
+            </div>
 
             {/* Move History */}
             {moveHistory.length > 0 && (
               <div className="text-xs text-gray-400 text-center font-mono">
-                {moveHistory.join(' → ')}
+                {moveHistory.map(move => move.text).join(' → ')}
               </div>
             )}
           </div>
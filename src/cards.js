@@ -0,0 +1,17 @@
+import { fraction } from './rational.js';
+
+// Card value mapping
+export const CARD_VALUES = {
+  'A': 1, '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, '8': 8, '9': 9,
+  '10': 10, 'J': 11, 'Q': 12, 'K': 13
+};
+
+export const CARD_NAMES = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+export const SUITS = ['♠', '♥', '♦', '♣'];
+
+// Exact value of a card - use stored value if available, otherwise parse rank
+export function cardValue(card) {
+  return card.value !== undefined
+    ? card.value
+    : fraction(CARD_VALUES[card.rank] || parseInt(card.rank, 10));
+}
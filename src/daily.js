@@ -0,0 +1,44 @@
+import { dealCards } from './dealer.js';
+
+// One hand per entry, in the order they are played
+export const DAILY_DIFFICULTIES = ['easy', 'medium', 'medium', 'hard', 'expert'];
+
+const STORAGE_PREFIX = '24-daily-';
+
+// Seconds under which a solve earns a green or yellow square
+const FAST_SOLVE = 30;
+const STEADY_SOLVE = 90;
+
+// Puzzles change at midnight UTC so everyone shares the same day
+export const getDailyKey = (date = new Date()) => date.toISOString().slice(0, 10);
+
+export const dealDailyPuzzles = (dailyKey) =>
+  DAILY_DIFFICULTIES.map((difficulty, i) => dealCards(`daily:${dailyKey}`, i + 1, difficulty));
+
+// Saved progress looks like { times: [12, 48, null, ...] }, null for a skipped hand
+export function loadDailyResult(dailyKey) {
+  try {
+    const saved = localStorage.getItem(`${STORAGE_PREFIX}${dailyKey}`);
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    console.error('Failed to load daily result:', error);
+    return null;
+  }
+}
+
+export function saveDailyResult(dailyKey, result) {
+  try {
+    localStorage.setItem(`${STORAGE_PREFIX}${dailyKey}`, JSON.stringify(result));
+  } catch (error) {
+    console.error('Failed to save daily result:', error);
+  }
+}
+
+// Spoiler-free summary: one square per hand
+export const dailyShareGrid = (times) =>
+  times.map(t => {
+    if (t === null) return '⬛';
+    if (t < FAST_SOLVE) return '🟩';
+    if (t < STEADY_SOLVE) return '🟨';
+    return '🟧';
+  }).join('');
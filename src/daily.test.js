@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { dealDailyPuzzles, getDailyKey, dailyShareGrid } from './daily.js';
+
+describe('dealDailyPuzzles', () => {
+  it('gives everyone the same five hands for a day', () => {
+    const puzzles = dealDailyPuzzles('2026-10-19');
+    expect(puzzles).toHaveLength(5);
+    expect(puzzles).toEqual(dealDailyPuzzles('2026-10-19'));
+    expect(puzzles).not.toEqual(dealDailyPuzzles('2026-10-20'));
+  });
+
+  it('changes at midnight UTC', () => {
+    expect(getDailyKey(new Date('2026-10-19T23:59:59Z'))).toBe('2026-10-19');
+    expect(getDailyKey(new Date('2026-10-20T00:00:00Z'))).toBe('2026-10-20');
+  });
+});
+
+describe('dailyShareGrid', () => {
+  it('shows one square per hand by solve time', () => {
+    expect(dailyShareGrid([12, 45, 200, null, 29])).toBe('🟩🟨🟧⬛🟩');
+  });
+});
@@ -0,0 +1,86 @@
+import PUZZLE_CATALOG from './puzzleCatalog.json' with { type: 'json' };
+import { SUITS } from './cards.js';
+import { DEFAULT_DIFFICULTY, ratePuzzle } from './difficulty.js';
+import { createRandom, pick, shuffle } from './random.js';
+import { canMake24 } from './solver.js';
+import { withDefaults, isClassicDeal, rankPool, rankValue, extraOperations } from './rules.js';
+
+// Random hands tried before giving up on a custom rule set
+const CUSTOM_DEAL_ATTEMPTS = 300;
+
+// Rating gets expensive past this many cards, so bigger hands ignore difficulty
+const MAX_RATED_CARDS = 4;
+
+// Difficulties that, with extra operations on, get hands + - * / can't solve
+const NEEDS_EXTRA_DIFFICULTIES = ['hard', 'expert'];
+
+const puzzlesByDifficulty = PUZZLE_CATALOG.reduce((acc, puzzle) => {
+  (acc[puzzle.difficulty] ||= []).push(puzzle);
+  return acc;
+}, {});
+
+// The catalog only covers classic rules, so other rule sets draw random hands
+// until one can reach the target, preferring the requested difficulty.
+// Returns null if no solvable hand turns up.
+function customRanks(random, rules, difficulty) {
+  const pool = rankPool(rules);
+  const operations = extraOperations(rules);
+  let fallback = null;
+
+  for (let attempt = 0; attempt < CUSTOM_DEAL_ATTEMPTS; attempt++) {
+    const counts = {};
+    const ranks = [];
+    while (ranks.length < rules.cardCount) {
+      // A deck only has one card per suit of each rank
+      const rank = pick(random, pool.filter(r => (counts[r] || 0) < SUITS.length));
+      counts[rank] = (counts[rank] || 0) + 1;
+      ranks.push(rank);
+    }
+
+    const cards = ranks.map(rank => ({ rank, value: rankValue(rank, rules) }));
+    if (!canMake24(cards, rules.target, operations)) continue;
+    if (rules.cardCount > MAX_RATED_CARDS) return ranks;
+    if (operations.length > 0) {
+      // Rating every solution with extra operations is too slow to do per
+      // attempt, so harder levels just get hands that need them
+      const needsExtra = !canMake24(cards, rules.target);
+      if (needsExtra === NEEDS_EXTRA_DIFFICULTIES.includes(difficulty)) return ranks;
+    } else if (ratePuzzle(cards, rules.target).difficulty === difficulty) {
+      return ranks;
+    }
+    fallback ||= ranks;
+  }
+  return fallback;
+}
+
+// Deal the hand for one round. The same seed, round, difficulty and rules
+// always produce the same cards, so any client can reproduce a room's deals.
+export function dealCards(seed, round, difficulty = DEFAULT_DIFFICULTY, rules = {}) {
+  const random = createRandom(`${seed}:${round}:${difficulty}`);
+  const fullRules = withDefaults(rules);
+
+  let ranks;
+  if (isClassicDeal(fullRules)) {
+    const pool = puzzlesByDifficulty[difficulty] || puzzlesByDifficulty[DEFAULT_DIFFICULTY];
+    ranks = pick(random, pool).ranks;
+  } else {
+    ranks = customRanks(random, fullRules, difficulty);
+    if (!ranks) return null;
+  }
+
+  const usedSuits = {};
+
+  return shuffle(random, ranks).map((rank, i) => {
+    // A real deck never has the same rank and suit twice
+    const suit = pick(random, SUITS.filter(s => !usedSuits[rank]?.includes(s)));
+    (usedSuits[rank] ||= []).push(suit);
+    const value = rankValue(rank, fullRules);
+    return {
+      rank,
+      suit,
+      id: `${rank}-${suit}-${round}-${i}`,
+      isOriginal: true,
+      ...(value && { value })
+    };
+  });
+}
@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { dealCards } from './dealer.js';
+import { canMake24 } from './solver.js';
+import { DIFFICULTIES } from './difficulty.js';
+
+describe('dealCards', () => {
+  it('deals the same hand for the same seed, round and difficulty', () => {
+    expect(dealCards('room-seed', 3, 'hard')).toEqual(dealCards('room-seed', 3, 'hard'));
+  });
+
+  it('deals a different hand each round', () => {
+    const rounds = [1, 2, 3, 4, 5].map(round => dealCards('room-seed', round).map(c => c.id).join());
+    expect(new Set(rounds).size).toBeGreaterThan(1);
+  });
+
+  it('only deals solvable hands without repeating a card', () => {
+    DIFFICULTIES.forEach(difficulty => {
+      const cards = dealCards('solvable', 1, difficulty);
+      expect(cards).toHaveLength(4);
+      expect(canMake24(cards)).toBe(true);
+      expect(new Set(cards.map(c => `${c.rank}${c.suit}`)).size).toBe(4);
+    });
+  });
+
+  it('follows custom rules', () => {
+    const rules = { cardCount: 5, target: 36 };
+    const cards = dealCards('custom', 1, 'medium', rules);
+    expect(cards).toEqual(dealCards('custom', 1, 'medium', rules));
+    expect(cards).toHaveLength(5);
+    expect(canMake24(cards, 36)).toBe(true);
+  });
+
+  it('returns null when no hand can reach the target', () => {
+    expect(dealCards('impossible', 1, 'medium', { cardCount: 3, minRank: 'A', maxRank: '2', target: 1000 })).toBeNull();
+  });
+});
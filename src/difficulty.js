@@ -0,0 +1,65 @@
+import { findSolutions, childNodes } from './solver.js';
+import { isInteger } from './rational.js';
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+export const DEFAULT_DIFFICULTY = 'medium';
+
+export const DIFFICULTY_LABELS = {
+  easy: 'Easy',
+  medium: 'Medium',
+  hard: 'Hard',
+  expert: 'Expert'
+};
+
+// Every intermediate value in a normalized tree, including the root
+function subtreeValues(node) {
+  return [node.value, ...childNodes(node).flatMap(subtreeValues)];
+}
+
+function depth(node) {
+  if (node.type === 'num') return 0;
+  return 1 + Math.max(...childNodes(node).map(depth));
+}
+
+// Whether a tree uses any of the extra operations
+const usesExtra = (node) => node.type === 'apply' || childNodes(node).some(usesExtra);
+
+// Score a hand by how many ways it can be solved and what the easiest of them
+// needs. A hand that can only be solved with extra operations is at least hard.
+export function ratePuzzle(cards, target = 24, operations = []) {
+  const solutions = findSolutions(cards, target, operations);
+  if (solutions.length === 0) {
+    return {
+      solutionCount: 0, requiresFractions: false, requiresNegatives: false, requiresExtra: false, minDepth: null, difficulty: null
+    };
+  }
+
+  const traits = solutions.map(({ tree }) => {
+    const values = subtreeValues(tree);
+    return {
+      fractions: values.some(v => !isInteger(v)),
+      negatives: values.some(v => v.numerator < 0),
+      extra: usesExtra(tree),
+      depth: depth(tree)
+    };
+  });
+
+  const requiresFractions = traits.every(t => t.fractions);
+  const requiresNegatives = traits.every(t => t.negatives);
+  const requiresExtra = traits.every(t => t.extra);
+  const minDepth = Math.min(...traits.map(t => t.depth));
+  const solutionCount = solutions.length;
+
+  let difficulty;
+  if (requiresFractions) {
+    difficulty = 'expert';
+  } else if (requiresNegatives || requiresExtra || solutionCount === 1) {
+    difficulty = 'hard';
+  } else if (solutionCount <= 3 || minDepth >= 3) {
+    difficulty = 'medium';
+  } else {
+    difficulty = 'easy';
+  }
+
+  return { solutionCount, requiresFractions, requiresNegatives, requiresExtra, minDepth, difficulty };
+}
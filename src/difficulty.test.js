@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { ratePuzzle } from './difficulty.js';
+
+const hand = (...ranks) => ranks.map((rank, i) => ({ rank, suit: '♠', id: `${rank}-${i}`, isOriginal: true }));
+
+describe('ratePuzzle', () => {
+  it('rates hands with many simple solutions as easy', () => {
+    expect(ratePuzzle(hand('2', '3', '4', '6'))).toMatchObject({ solutionCount: 10, minDepth: 2, difficulty: 'easy' });
+  });
+
+  it('rates hands with few solutions as medium', () => {
+    expect(ratePuzzle(hand('6', '6', '6', '6'))).toMatchObject({ solutionCount: 2, difficulty: 'medium' });
+  });
+
+  it('rates a hand with a single solution as hard', () => {
+    expect(ratePuzzle(hand('4', '4', '10', '10'))).toMatchObject({ solutionCount: 1, requiresFractions: false, difficulty: 'hard' });
+  });
+
+  it('rates hands that need a fraction as expert', () => {
+    expect(ratePuzzle(hand('3', '3', '8', '8'))).toMatchObject({ requiresFractions: true, difficulty: 'expert' });
+  });
+
+  it('rates hands that need extra operations as hard', () => {
+    expect(ratePuzzle(hand('4'), 24, ['!'])).toMatchObject({ requiresExtra: true, difficulty: 'hard' });
+  });
+
+  it('gives unsolvable hands no difficulty', () => {
+    expect(ratePuzzle(hand('A', 'A', 'A', 'A'))).toMatchObject({ solutionCount: 0, difficulty: null });
+  });
+});
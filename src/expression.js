@@ -0,0 +1,190 @@
+// Typed solutions such as "(8/(3-8/3))", parsed without eval into the same
+// structured moves the board builds card by card.
+//
+// Numbers and ranks (A, J, Q, K) stand for dealt cards; × and ÷ work for * and /.
+// With extra operations on, ^, √ (or sqrt), ! and ‖ (or ||) are accepted too.
+// Precedence, loosest first: + -, * /, ^ (right to left), ‖, √, !.
+import { cardValue } from './cards.js';
+import { fraction, equals } from './rational.js';
+import { OPERATION_LABELS, MAX_UNARY_MOVES, applyOperation, isUnary } from './moves.js';
+
+const SYMBOLS = {
+  '+': '+', '-': '-', '−': '-', '*': '*', '×': '*', '/': '/', '÷': '/',
+  '^': '^', '√': 'sqrt', '!': '!', '‖': 'concat', '(': '(', ')': ')'
+};
+
+const RANK_LETTERS = ['A', 'J', 'Q', 'K'];
+
+class ExpressionError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.position = position;
+  }
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (/[0-9]/.test(char)) {
+      const digits = text.slice(i).match(/^[0-9]+/)[0];
+      tokens.push({ type: 'number', value: Number(digits), text: digits, position: i });
+      i += digits.length;
+    } else if (text.startsWith('||', i)) {
+      tokens.push({ type: 'concat', position: i });
+      i += 2;
+    } else if (text.slice(i, i + 4).toLowerCase() === 'sqrt') {
+      tokens.push({ type: 'sqrt', position: i });
+      i += 4;
+    } else if (RANK_LETTERS.includes(char.toUpperCase())) {
+      tokens.push({ type: 'rank', value: char.toUpperCase(), text: char.toUpperCase(), position: i });
+      i++;
+    } else if (SYMBOLS[char]) {
+      tokens.push({ type: SYMBOLS[char], position: i });
+      i++;
+    } else {
+      throw new ExpressionError(`Unexpected "${char}"`, i);
+    }
+  }
+  tokens.push({ type: 'end', position: text.length });
+  return tokens;
+}
+
+// Recursive descent over the tokens. Nodes are
+//   { type: 'card', token } or { type: 'op', op, args: [...], position }
+function parse(tokens, operations) {
+  let index = 0;
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+
+  const allow = (token) => {
+    if (!operations.includes(token.type)) {
+      throw new ExpressionError(`${OPERATION_LABELS[token.type]} is not allowed here`, token.position);
+    }
+  };
+
+  const binary = (operand, ops) => () => {
+    let node = operand();
+    while (ops.includes(peek().type)) {
+      const token = next();
+      node = { type: 'op', op: token.type, args: [node, operand()], position: token.position };
+    }
+    return node;
+  };
+
+  function primary() {
+    const token = next();
+    if (token.type === 'number' || token.type === 'rank') return { type: 'card', token };
+    if (token.type === '(') {
+      const node = sum();
+      if (peek().type !== ')') throw new ExpressionError('Missing ")"', peek().position);
+      next();
+      return node;
+    }
+    throw new ExpressionError(token.type === 'end' ? 'Expression ends too soon' : 'Expected a card', token.position);
+  }
+
+  function factorial() {
+    let node = primary();
+    while (peek().type === '!') {
+      const token = next();
+      allow(token);
+      node = { type: 'op', op: '!', args: [node], position: token.position };
+    }
+    return node;
+  }
+
+  function root() {
+    if (peek().type !== 'sqrt') return factorial();
+    const token = next();
+    allow(token);
+    return { type: 'op', op: 'sqrt', args: [root()], position: token.position };
+  }
+
+  function concat() {
+    let node = root();
+    while (peek().type === 'concat') {
+      const token = next();
+      allow(token);
+      node = { type: 'op', op: 'concat', args: [node, root()], position: token.position };
+    }
+    return node;
+  }
+
+  function power() {
+    const node = concat();
+    if (peek().type !== '^') return node;
+    const token = next();
+    allow(token);
+    return { type: 'op', op: '^', args: [node, power()], position: token.position };
+  }
+
+  const product = binary(power, ['*', '/']);
+  const sum = binary(product, ['+', '-']);
+
+  const tree = sum();
+  if (peek().type !== 'end') throw new ExpressionError('Expected an operation', peek().position);
+  return tree;
+}
+
+const leaves = (node) => (node.type === 'card' ? [node] : node.args.flatMap(leaves));
+
+// Match every number or rank to its own dealt card. Ranks go first, since a
+// number may fit several cards (10 is also J/Q/K when face cards count as 10).
+function assignCards(tree, cards) {
+  const unused = [...cards];
+  const ordered = leaves(tree).sort((a, b) => (a.token.type === 'rank' ? 0 : 1) - (b.token.type === 'rank' ? 0 : 1));
+
+  for (const leaf of ordered) {
+    const { token } = leaf;
+    const matches = (card) => (token.type === 'rank'
+      ? card.rank === token.value
+      : equals(cardValue(card), fraction(token.value)));
+    const card = unused.find(matches);
+    if (!card) throw new ExpressionError(`No ${token.text} left to use`, token.position);
+    unused.splice(unused.indexOf(card), 1);
+    leaf.card = card;
+  }
+
+  if (unused.length > 0) {
+    throw new ExpressionError(`Use every card: ${unused.map(c => c.rank).join(', ')} left over`, null);
+  }
+}
+
+// Parse `text` against the dealt cards. Returns { moves, value } with moves in
+// the order they apply and result ids `${idPrefix}-0`, `${idPrefix}-1`...,
+// or { error, position } where position is the offending character (null if
+// the problem isn't in one place).
+export function parseExpression(text, cards, operations = [], idPrefix = 'typed') {
+  try {
+    const tree = parse(tokenize(text), operations);
+    assignCards(tree, cards);
+
+    const moves = [];
+    const build = (node) => {
+      if (node.type === 'card') return { id: node.card.id, value: cardValue(node.card) };
+      const args = node.args.map(build);
+      const value = applyOperation(args[0].value, args[1]?.value, node.op);
+      if (value === null) {
+        const what = node.op === '/' ? 'Division by zero' : `Cannot use ${OPERATION_LABELS[node.op]} there`;
+        throw new ExpressionError(what, node.position);
+      }
+      const id = `${idPrefix}-${moves.length}`;
+      moves.push({ left: args[0].id, op: node.op, right: args[1]?.id ?? null, result: id });
+      return { id, value };
+    };
+    const { value } = build(tree);
+
+    if (moves.filter(move => isUnary(move.op)).length > MAX_UNARY_MOVES) {
+      throw new ExpressionError(`Only ${MAX_UNARY_MOVES} √ or ! per hand`, null);
+    }
+    return { moves, value };
+  } catch (error) {
+    if (!(error instanceof ExpressionError)) throw error;
+    return { error: error.message, position: error.position };
+  }
+}
+
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { parseExpression } from './expression.js';
+import { verifyMoves } from './moves.js';
+
+const hand = (...ranks) => ranks.map((rank, i) => ({ rank, suit: '♠', id: `c${i}`, isOriginal: true }));
+
+describe('parseExpression', () => {
+  it('turns a typed solution into moves the verifier accepts', () => {
+    const cards = hand('3', '3', '8', '8');
+    const { moves, value } = parseExpression('8/(3-8/3)', cards);
+    expect(value).toEqual({ numerator: 24, denominator: 1 });
+    expect(moves.map(m => m.op)).toEqual(['/', '-', '/']);
+    expect(verifyMoves(cards, moves)).toEqual({ valid: true });
+  });
+
+  it('accepts ranks and × ÷', () => {
+    const { value } = parseExpression('K × 2 − J + Q ÷ 6', hand('K', 'J', 'Q', '2', '6'));
+    expect(value).toEqual({ numerator: 17, denominator: 1 });
+  });
+
+  it('points at the problem', () => {
+    expect(parseExpression('8/(3-8/3', hand('3', '3', '8', '8'))).toEqual({ error: 'Missing ")"', position: 8 });
+    expect(parseExpression('3 $ 3', hand('3', '3'))).toEqual({ error: 'Unexpected "$"', position: 2 });
+    expect(parseExpression('9+3', hand('3', '3'))).toEqual({ error: 'No 9 left to use', position: 0 });
+  });
+
+  it('requires every card', () => {
+    expect(parseExpression('8*3', hand('3', '3', '8', '8')).error).toBe('Use every card: 3, 8 left over');
+  });
+
+  it('only allows extra operations that are turned on', () => {
+    expect(parseExpression('4!', hand('4')).error).toBe('! is not allowed here');
+    expect(parseExpression('4!', hand('4'), ['!']).value).toEqual({ numerator: 24, denominator: 1 });
+    expect(parseExpression('2||4', hand('2', '4'), ['concat']).value).toEqual({ numerator: 24, denominator: 1 });
+  });
+
+  it('reports division by zero', () => {
+    expect(parseExpression('8/(3-3)', hand('3', '3', '8')).error).toBe('Division by zero');
+  });
+});
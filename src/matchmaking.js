@@ -0,0 +1,28 @@
+// Quick-match queue. Waiting players are stored under queue/<uid> as
+//   { name, difficulty, size, queuedAt, roomId }
+// and grouped with everyone who wants the same difficulty and room size.
+// roomId is filled in once the player has been seated in a room.
+
+const wantsSameGame = (a, b) => a.difficulty === b.difficulty && a.size === b.size;
+
+// Unmatched players waiting for the same game as `playerId`, oldest first
+export function waitingGroup(queue, playerId) {
+  const me = queue?.[playerId];
+  if (!me || me.roomId) return [];
+
+  return Object.entries(queue)
+    .filter(([, entry]) => !entry.roomId && wantsSameGame(entry, me))
+    .map(([id, entry]) => ({ id, ...entry }))
+    .sort((a, b) => (a.queuedAt - b.queuedAt) || (a.id < b.id ? -1 : 1));
+}
+
+// The longest-waiting player leads the group and creates the room once enough
+// players are waiting. Returns the entries to seat, or null if there is
+// nothing for `playerId` to do yet.
+export function findMatch(queue, playerId) {
+  const group = waitingGroup(queue, playerId);
+  if (group.length === 0 || group[0].id !== playerId) return null;
+
+  const { size } = group[0];
+  return group.length >= size ? group.slice(0, size) : null;
+}
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { waitingGroup, findMatch } from './matchmaking.js';
+
+const entry = (queuedAt, difficulty = 'medium', size = 2) => ({ name: 'Player', difficulty, size, queuedAt });
+
+describe('waitingGroup', () => {
+  it('groups unmatched players wanting the same game, oldest first', () => {
+    const queue = {
+      c: entry(3),
+      a: entry(1),
+      hard: entry(0, 'hard'),
+      big: entry(0, 'medium', 4),
+      seated: { ...entry(0), roomId: 'ROOM01' },
+      b: entry(2)
+    };
+    expect(waitingGroup(queue, 'b').map(p => p.id)).toEqual(['a', 'b', 'c']);
+    expect(waitingGroup(queue, 'seated')).toEqual([]);
+  });
+});
+
+describe('findMatch', () => {
+  it('lets only the longest-waiting player seat the group', () => {
+    const queue = { a: entry(1), b: entry(2) };
+    expect(findMatch(queue, 'a').map(p => p.id)).toEqual(['a', 'b']);
+    expect(findMatch(queue, 'b')).toBeNull();
+  });
+
+  it('waits until the room can be filled', () => {
+    const queue = { a: entry(1, 'medium', 3), b: entry(2, 'medium', 3) };
+    expect(findMatch(queue, 'a')).toBeNull();
+    queue.c = entry(3, 'medium', 3);
+    queue.d = entry(4, 'medium', 3);
+    expect(findMatch(queue, 'a').map(p => p.id)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('ignores players not in the queue', () => {
+    expect(findMatch({ a: entry(1) }, 'missing')).toBeNull();
+  });
+});
@@ -0,0 +1,153 @@
+// Structured moves, shared by the client and the verifyWinClaim Cloud Function.
+// A move combines two cards by id and names the card it produces:
+//   { left: '3-♠-1-0', op: '/', right: 'result-1', result: 'result-2' }
+// Unary moves (sqrt, !) have no right card.
+import { cardValue } from './cards.js';
+import { fraction, add, subtract, multiply, divide, equals, isInteger, formatFraction } from './rational.js';
+
+export const OPERATIONS = ['+', '-', '*', '/'];
+
+// Optional operations a room or solo session can turn on. sqrt and ! take a
+// single card; the rest combine two.
+export const EXTRA_OPERATIONS = ['^', 'sqrt', '!', 'concat'];
+export const UNARY_OPERATIONS = ['sqrt', '!'];
+
+export const OPERATION_LABELS = {
+  '+': '+', '-': '-', '*': '×', '/': '÷', '^': '^', sqrt: '√', '!': '!', concat: '‖'
+};
+
+export const isUnary = (op) => UNARY_OPERATIONS.includes(op);
+
+// Bounds that keep powers and factorials from exploding. Every result must
+// also stay within MAX_MAGNITUDE, which a hand of six cards never reaches
+// with + - * / alone.
+export const MAX_EXPONENT = 10;
+export const MAX_FACTORIAL = 10;
+export const MAX_MAGNITUDE = 10000000;
+
+// A solution may use at most this many sqrt/! moves on top of the usual
+// one move per card combined
+export const MAX_UNARY_MOVES = 3;
+
+const withinBounds = (value) =>
+  value !== null && Math.abs(value.numerator) <= MAX_MAGNITUDE && value.denominator <= MAX_MAGNITUDE;
+
+// Square root of a perfect square, or null
+function rationalSqrt(a) {
+  if (a.numerator < 0) return null;
+  const n = Math.round(Math.sqrt(a.numerator));
+  const d = Math.round(Math.sqrt(a.denominator));
+  return n * n === a.numerator && d * d === a.denominator ? fraction(n, d) : null;
+}
+
+function factorial(a) {
+  if (!isInteger(a) || a.numerator < 0 || a.numerator > MAX_FACTORIAL) return null;
+  let result = 1;
+  for (let i = 2; i <= a.numerator; i++) result *= i;
+  return fraction(result);
+}
+
+// Whole exponents only, so the result stays rational
+function power(a, b) {
+  if (!isInteger(b) || Math.abs(b.numerator) > MAX_EXPONENT) return null;
+  if (a.numerator === 0 && b.numerator <= 0) return null;
+  const base = b.numerator < 0 ? fraction(a.denominator, a.numerator) : a;
+  const exponent = Math.abs(b.numerator);
+  return fraction(base.numerator ** exponent, base.denominator ** exponent);
+}
+
+// Digits of b written after a: 1 concat 2 = 12. Whole numbers only, no leading zero.
+function concat(a, b) {
+  if (!isInteger(a) || !isInteger(b) || a.numerator <= 0 || b.numerator < 0) return null;
+  return fraction(Number(`${a.numerator}${b.numerator}`));
+}
+
+// Returns null for division by zero, an unknown operation or a result out of
+// bounds. Unary operations ignore b.
+export function applyOperation(a, b, op) {
+  let result;
+  switch (op) {
+    case '+': result = add(a, b); break;
+    case '-': result = subtract(a, b); break;
+    case '*': result = multiply(a, b); break;
+    case '/': result = divide(a, b); break;
+    case '^': result = power(a, b); break;
+    case 'sqrt': result = rationalSqrt(a); break;
+    case '!': result = factorial(a); break;
+    case 'concat': result = concat(a, b); break;
+    default: return null;
+  }
+  return withinBounds(result) ? result : null;
+}
+
+// "3 * 8 = 24", "√9 = 3", "4! = 24"
+export function moveText(left, op, right, result) {
+  if (op === 'sqrt') return `√${left} = ${result}`;
+  if (op === '!') return `${left}! = ${result}`;
+  return `${left} ${op === 'concat' ? OPERATION_LABELS.concat : op} ${right} = ${result}`;
+}
+
+// Replay moves against the dealt cards. Every dealt card and every
+// intermediate result must be used exactly once, ending on the target.
+// `operations` lists the extra operations the room allows.
+export function verifyMoves(originalCards, moves, target = 24, operations = []) {
+  if (!Array.isArray(originalCards) || originalCards.length === 0) {
+    return { valid: false, error: 'No cards were dealt' };
+  }
+  const binaryCount = Array.isArray(moves) ? moves.filter(move => !isUnary(move?.op)).length : -1;
+  if (binaryCount !== originalCards.length - 1) {
+    return { valid: false, error: `Expected ${originalCards.length - 1} moves combining two cards` };
+  }
+  if (moves.length - binaryCount > MAX_UNARY_MOVES) {
+    return { valid: false, error: `At most ${MAX_UNARY_MOVES} single-card moves are allowed` };
+  }
+
+  const allowed = [...OPERATIONS, ...operations];
+  const pool = new Map(originalCards.map(card => [card.id, cardValue(card)]));
+
+  for (const move of moves) {
+    const { left, op, right, result } = move || {};
+    if (!allowed.includes(op)) return { valid: false, error: `Operation ${op} is not allowed` };
+    const unary = isUnary(op);
+    if (!pool.has(left) || (!unary && (left === right || !pool.has(right)))) {
+      return { valid: false, error: 'A card was used twice or does not exist' };
+    }
+
+    const value = applyOperation(pool.get(left), unary ? null : pool.get(right), op);
+    if (value === null) return { valid: false, error: op === '/' ? 'Division by zero' : `Cannot apply ${op} here` };
+
+    pool.delete(left);
+    if (!unary) pool.delete(right);
+    if (pool.has(result)) return { valid: false, error: 'Duplicate result card' };
+    pool.set(result, value);
+  }
+
+  const [finalValue] = pool.values();
+  if (!equals(finalValue, fraction(target))) {
+    return { valid: false, error: `Moves do not make ${target}` };
+  }
+  return { valid: true };
+}
+
+// The board after each move, for replaying a solution on the cards:
+//   [{ cards, text, result }, ...] starting with the dealt hand (text and
+// result null). Result cards carry their exact `value`, like the ones the
+// board creates. Stops at the first move that doesn't replay.
+export function replayMoves(originalCards, moves) {
+  let cards = [...originalCards];
+  const steps = [{ cards, text: null, result: null }];
+
+  for (const { left, op, right, result } of moves || []) {
+    const unary = isUnary(op);
+    const a = cards.find(c => c.id === left);
+    const b = unary ? null : cards.find(c => c.id === right);
+    const value = a && (unary || (b && a !== b)) ? applyOperation(cardValue(a), b && cardValue(b), op) : null;
+    if (value === null) break;
+
+    const label = (card) => (card.isOriginal ? `${card.rank}${card.suit}` : card.rank);
+    const newCard = { rank: formatFraction(value), suit: null, id: result, isOriginal: false, value };
+    cards = [...cards.filter(c => c !== a && c !== b), newCard];
+    steps.push({ cards, text: moveText(label(a), op, b && label(b), newCard.rank), result });
+  }
+  return steps;
+}
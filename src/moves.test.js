@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { verifyMoves, replayMoves, applyOperation } from './moves.js';
+import { fraction } from './rational.js';
+
+const hand = (...ranks) => ranks.map((rank, i) => ({ rank, suit: '♠', id: `c${i}`, isOriginal: true }));
+
+// 8 / (3 - 8/3) on 3 3 8 8
+const cards = hand('3', '3', '8', '8');
+const solution = [
+  { left: 'c3', op: '/', right: 'c1', result: 'r0' },
+  { left: 'c0', op: '-', right: 'r0', result: 'r1' },
+  { left: 'c2', op: '/', right: 'r1', result: 'r2' }
+];
+
+describe('verifyMoves', () => {
+  it('accepts a solution that uses every card once', () => {
+    expect(verifyMoves(cards, solution)).toEqual({ valid: true });
+  });
+
+  it('rejects a card used twice', () => {
+    const moves = [...solution.slice(0, 2), { left: 'c3', op: '/', right: 'r1', result: 'r2' }];
+    expect(verifyMoves(cards, moves).valid).toBe(false);
+  });
+
+  it('rejects too few moves', () => {
+    expect(verifyMoves(cards, solution.slice(0, 2)).error).toBe('Expected 3 moves combining two cards');
+  });
+
+  it('rejects moves that miss the target', () => {
+    expect(verifyMoves(cards, solution, 10).error).toBe('Moves do not make 10');
+  });
+
+  it('only allows extra operations the room turned on', () => {
+    const moves = [{ left: 'c0', op: '!', right: null, result: 'r0' }];
+    expect(verifyMoves(hand('4'), moves).error).toBe('Operation ! is not allowed');
+    expect(verifyMoves(hand('4'), moves, 24, ['!'])).toEqual({ valid: true });
+  });
+
+  it('limits the number of single-card moves', () => {
+    const moves = [
+      { left: 'c0', op: 'sqrt', right: null, result: 'r0' },
+      { left: 'r0', op: '!', right: null, result: 'r1' },
+      { left: 'r1', op: '!', right: null, result: 'r2' },
+      { left: 'r2', op: '!', right: null, result: 'r3' }
+    ];
+    expect(verifyMoves(hand('4'), moves, 2, ['sqrt', '!']).error).toBe('At most 3 single-card moves are allowed');
+  });
+
+  it('rejects division by zero', () => {
+    const moves = [
+      { left: 'c0', op: '-', right: 'c1', result: 'r0' },
+      { left: 'c2', op: '/', right: 'r0', result: 'r1' }
+    ];
+    expect(verifyMoves(hand('3', '3', '8'), moves).error).toBe('Division by zero');
+  });
+});
+
+describe('replayMoves', () => {
+  it('returns the board after each move', () => {
+    const steps = replayMoves(cards, solution);
+    expect(steps).toHaveLength(4);
+    expect(steps[1].text).toBe('8♠ / 3♠ = 8/3');
+    expect(steps[3].cards.map(c => c.rank)).toEqual(['24']);
+  });
+
+  it('stops at the first move that does not replay', () => {
+    expect(replayMoves(cards, [{ left: 'missing', op: '+', right: 'c0', result: 'r0' }])).toHaveLength(1);
+  });
+});
+
+describe('applyOperation', () => {
+  const f = fraction;
+
+  it('raises to whole powers up to the exponent limit', () => {
+    expect(applyOperation(f(2), f(10), '^')).toEqual(f(1024));
+    expect(applyOperation(f(2), f(-2), '^')).toEqual(f(1, 4));
+    expect(applyOperation(f(2), f(11), '^')).toBeNull();
+    expect(applyOperation(f(4), f(1, 2), '^')).toBeNull();
+    expect(applyOperation(f(0), f(0), '^')).toBeNull();
+  });
+
+  it('rejects results past the magnitude limit', () => {
+    expect(applyOperation(f(10), f(10), '^')).toBeNull();
+  });
+
+  it('takes square roots of perfect squares only', () => {
+    expect(applyOperation(f(9, 4), null, 'sqrt')).toEqual(f(3, 2));
+    expect(applyOperation(f(8), null, 'sqrt')).toBeNull();
+    expect(applyOperation(f(-4), null, 'sqrt')).toBeNull();
+  });
+
+  it('bounds factorials', () => {
+    expect(applyOperation(f(4), null, '!')).toEqual(f(24));
+    expect(applyOperation(f(11), null, '!')).toBeNull();
+    expect(applyOperation(f(1, 2), null, '!')).toBeNull();
+  });
+
+  it('concatenates whole numbers without a leading zero', () => {
+    expect(applyOperation(f(1), f(2), 'concat')).toEqual(f(12));
+    expect(applyOperation(f(2), f(0), 'concat')).toEqual(f(20));
+    expect(applyOperation(f(0), f(2), 'concat')).toBeNull();
+    expect(applyOperation(f(1, 2), f(2), 'concat')).toBeNull();
+  });
+});
@@ -0,0 +1,37 @@
+// Seeded pseudo-random numbers, so every client can reproduce the same deal
+
+// 32-bit FNV-1a hash of a string
+export function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Mulberry32 - returns a generator of floats in [0, 1)
+export function createRandom(seed) {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashString(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fresh seed for a new room or solo session
+export const createSeed = () => Math.random().toString(36).slice(2, 10);
+
+export const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+export function shuffle(random, items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
@@ -0,0 +1,48 @@
+// Exact rational arithmetic on { numerator, denominator } pairs.
+// Values are always reduced, with the sign carried by the numerator.
+
+function gcd(a, b) {
+  a = Math.abs(a);
+  b = Math.abs(b);
+  while (b) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+export function fraction(numerator, denominator = 1) {
+  if (denominator === 0) throw new RangeError('Denominator cannot be zero');
+  if (denominator < 0) {
+    numerator = -numerator;
+    denominator = -denominator;
+  }
+  const divisor = gcd(numerator, denominator) || 1;
+  return { numerator: numerator / divisor, denominator: denominator / divisor };
+}
+
+export const add = (a, b) =>
+  fraction(a.numerator * b.denominator + b.numerator * a.denominator, a.denominator * b.denominator);
+
+export const subtract = (a, b) =>
+  fraction(a.numerator * b.denominator - b.numerator * a.denominator, a.denominator * b.denominator);
+
+export const multiply = (a, b) =>
+  fraction(a.numerator * b.numerator, a.denominator * b.denominator);
+
+// Returns null when dividing by zero
+export const divide = (a, b) =>
+  b.numerator === 0 ? null : fraction(a.numerator * b.denominator, a.denominator * b.numerator);
+
+export const isZero = (a) => a.numerator === 0;
+
+export const equals = (a, b) =>
+  a.numerator === b.numerator && a.denominator === b.denominator;
+
+export const compare = (a, b) =>
+  a.numerator * b.denominator - b.numerator * a.denominator;
+
+export const isInteger = (a) => a.denominator === 1;
+
+// "24", "-3" or "8/3"
+export const formatFraction = (a) =>
+  isInteger(a) ? String(a.numerator) : `${a.numerator}/${a.denominator}`;
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { fraction, add, subtract, multiply, divide, equals, compare, formatFraction } from './rational.js';
+
+describe('fraction', () => {
+  it('reduces and keeps the sign on the numerator', () => {
+    expect(fraction(6, 8)).toEqual({ numerator: 3, denominator: 4 });
+    expect(fraction(3, -9)).toEqual({ numerator: -1, denominator: 3 });
+    expect(fraction(0, 5)).toEqual({ numerator: 0, denominator: 1 });
+  });
+
+  it('rejects a zero denominator', () => {
+    expect(() => fraction(1, 0)).toThrow(RangeError);
+  });
+});
+
+describe('arithmetic', () => {
+  it('stays exact where floats would not', () => {
+    // 8 / (3 - 8/3) = 24
+    expect(divide(fraction(8), subtract(fraction(3), divide(fraction(8), fraction(3))))).toEqual(fraction(24));
+    expect(add(fraction(1, 3), fraction(1, 6))).toEqual(fraction(1, 2));
+    expect(multiply(fraction(2, 3), fraction(3, 4))).toEqual(fraction(1, 2));
+  });
+
+  it('returns null when dividing by zero', () => {
+    expect(divide(fraction(5), fraction(0))).toBeNull();
+  });
+
+  it('compares and formats', () => {
+    expect(equals(fraction(2, 4), fraction(1, 2))).toBe(true);
+    expect(compare(fraction(1, 3), fraction(1, 2))).toBeLessThan(0);
+    expect(formatFraction(fraction(24))).toBe('24');
+    expect(formatFraction(fraction(-8, 3))).toBe('-8/3');
+  });
+});
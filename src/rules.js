@@ -0,0 +1,72 @@
+import { CARD_NAMES } from './cards.js';
+import { fraction } from './rational.js';
+import { OPERATION_LABELS } from './moves.js';
+
+// Room rules, chosen by the host and stored on the room as `rules`.
+// Firebase drops nulls, so always read them through withDefaults().
+export const DEFAULT_RULES = {
+  target: 24,
+  cardCount: 4,
+  minRank: 'A',
+  maxRank: 'K',
+  faceCards: 'high', // 'high' counts J/Q/K as 11/12/13, 'ten' counts them all as 10
+  pointsToWin: null, // First to this many points wins the game; null plays on forever
+  timeLimit: null, // Seconds per round; null means no limit
+  operations: null // Extra operations from moves.js, e.g. ['^', '!']; null allows only + - * /
+};
+
+export const TARGET_OPTIONS = [10, 24, 36, 100];
+export const CARD_COUNT_OPTIONS = [3, 4, 5, 6];
+export const POINTS_TO_WIN_OPTIONS = [1, 3, 5, 10]; // Rooms can also play on with no limit
+export const TIME_LIMIT_OPTIONS = [null, 60, 120, 300];
+
+const FACE_CARDS = ['J', 'Q', 'K'];
+
+export const withDefaults = (rules) => ({ ...DEFAULT_RULES, ...rules });
+
+export const extraOperations = (rules) => withDefaults(rules).operations || [];
+
+// Classic rules deal from the precomputed puzzle catalog
+export function isClassicDeal(rules) {
+  const r = withDefaults(rules);
+  return r.target === DEFAULT_RULES.target && r.cardCount === DEFAULT_RULES.cardCount &&
+    r.minRank === DEFAULT_RULES.minRank && r.maxRank === DEFAULT_RULES.maxRank && r.faceCards === DEFAULT_RULES.faceCards &&
+    extraOperations(r).length === 0;
+}
+
+// Ranks in play, in order: 'A'..'K' narrowed to the chosen range
+export function rankPool(rules) {
+  const r = withDefaults(rules);
+  return CARD_NAMES.slice(CARD_NAMES.indexOf(r.minRank), CARD_NAMES.indexOf(r.maxRank) + 1);
+}
+
+// Exact value of a rank under these rules, or undefined to use the usual mapping
+export const rankValue = (rank, rules) =>
+  withDefaults(rules).faceCards === 'ten' && FACE_CARDS.includes(rank) ? fraction(10) : undefined;
+
+// Error message for a rule set that can't be dealt, or null
+export function validateRules(rules) {
+  const r = withDefaults(rules);
+  const pool = rankPool(r);
+  if (pool.length === 0) return 'Lowest card must not be above the highest';
+  if (pool.length * 4 < r.cardCount) return `Not enough cards in ${r.minRank}-${r.maxRank} for ${r.cardCount} per hand`;
+  return null;
+}
+
+// "1:00", "2:00", "5:00"
+const formatLimit = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+// Short labels for every rule that differs from classic 24, e.g.
+// ['Make 36', '5 cards', 'A-9', 'First to 5']
+export function describeRules(rules) {
+  const r = withDefaults(rules);
+  const labels = [];
+  if (r.target !== DEFAULT_RULES.target) labels.push(`Make ${r.target}`);
+  if (r.cardCount !== DEFAULT_RULES.cardCount) labels.push(`${r.cardCount} cards`);
+  if (r.minRank !== DEFAULT_RULES.minRank || r.maxRank !== DEFAULT_RULES.maxRank) labels.push(`${r.minRank}-${r.maxRank}`);
+  if (r.faceCards === 'ten') labels.push('J/Q/K = 10');
+  if (r.pointsToWin) labels.push(`First to ${r.pointsToWin}`);
+  if (r.timeLimit) labels.push(`${formatLimit(r.timeLimit)} per round`);
+  if (extraOperations(r).length > 0) labels.push(`Extra ${extraOperations(r).map(op => OPERATION_LABELS[op]).join(' ')}`);
+  return labels;
+}
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { validateRules, rankValue, rankPool, isClassicDeal, describeRules } from './rules.js';
+
+describe('validateRules', () => {
+  it('accepts classic and custom rules that can be dealt', () => {
+    expect(validateRules({})).toBeNull();
+    expect(validateRules({ cardCount: 6, minRank: 'A', maxRank: '2' })).toBeNull();
+  });
+
+  it('rejects a rank range that is empty or too small for the hand', () => {
+    expect(validateRules({ minRank: '9', maxRank: '2' })).toBe('Lowest card must not be above the highest');
+    expect(validateRules({ cardCount: 5, minRank: 'A', maxRank: 'A' })).toBe('Not enough cards in A-A for 5 per hand');
+  });
+});
+
+describe('rankValue', () => {
+  it('counts face cards as 10 only when the rules say so', () => {
+    expect(rankValue('Q', { faceCards: 'ten' })).toEqual({ numerator: 10, denominator: 1 });
+    expect(rankValue('Q', {})).toBeUndefined();
+    expect(rankValue('7', { faceCards: 'ten' })).toBeUndefined();
+  });
+});
+
+describe('rankPool', () => {
+  it('narrows the deck to the chosen range', () => {
+    expect(rankPool({ minRank: '8', maxRank: 'J' })).toEqual(['8', '9', '10', 'J']);
+    expect(rankPool({})).toHaveLength(13);
+  });
+});
+
+describe('isClassicDeal', () => {
+  it('only deals from the catalog under classic rules', () => {
+    expect(isClassicDeal({})).toBe(true);
+    expect(isClassicDeal({ pointsToWin: 5, timeLimit: 60 })).toBe(true);
+    expect(isClassicDeal({ target: 36 })).toBe(false);
+    expect(isClassicDeal({ faceCards: 'ten' })).toBe(false);
+  });
+});
+
+describe('describeRules', () => {
+  it('labels every rule that differs from classic 24', () => {
+    expect(describeRules({})).toEqual([]);
+    expect(describeRules({ target: 36, cardCount: 5, maxRank: '9', pointsToWin: 5, timeLimit: 120 }))
+      .toEqual(['Make 36', '5 cards', 'A-9', 'First to 5', '2:00 per round']);
+  });
+
+  it('lists extra operations', () => {
+    expect(describeRules({ operations: ['^', 'sqrt'] })).toEqual(['Extra ^ √']);
+    expect(isClassicDeal({ operations: ['!'] })).toBe(false);
+  });
+});
@@ -0,0 +1,30 @@
+// The multiplayer session, saved locally so a refresh can rejoin the same seat
+// and board. Identity itself comes from Firebase Auth and survives on its own.
+const STORAGE_KEY = '24-session';
+
+// Saved session looks like { roomId, playerName, board: { roundNumber, cards, moveHistory, cardHistory } }
+export function loadSession() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    console.error('Failed to load session:', error);
+    return null;
+  }
+}
+
+export function saveSession(session) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+  } catch (error) {
+    console.error('Failed to save session:', error);
+  }
+}
+
+export function clearSession() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.error('Failed to clear session:', error);
+  }
+}
@@ -0,0 +1,243 @@
+import { cardValue } from './cards.js';
+import { fraction, add, subtract, multiply, divide, isZero, equals, compare, formatFraction } from './rational.js';
+import { applyOperation, isUnary, MAX_UNARY_MOVES } from './moves.js';
+
+const TARGET = 24;
+
+// Expression trees are kept in a normalized form so that commutative and
+// associative variants collapse to the same node:
+//   { type: 'num', value, index }            a dealt card (index into the hand)
+//   { type: 'sum', pos: [...], neg: [...] }  pos[0] + pos[1] ... - neg[0] - neg[1] ...
+//   { type: 'product', num: [...], den: [...] }  num[0] * num[1] ... / den[0] / den[1] ...
+//   { type: 'apply', op, args: [...] }       one of the extra operations in moves.js
+// Every node also carries its exact rational `value` and a canonical `key`.
+
+const byKey = (a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0);
+
+function makeLeaf(value, index) {
+  return { type: 'num', value, index, key: formatFraction(value) };
+}
+
+function makeSum(pos, neg) {
+  pos = [...pos].sort(byKey);
+  neg = [...neg].sort(byKey);
+  const value = subtract(
+    pos.reduce((acc, n) => add(acc, n.value), fraction(0)),
+    neg.reduce((acc, n) => add(acc, n.value), fraction(0))
+  );
+  const key = `(+${pos.map(n => n.key).join(',')}-${neg.map(n => n.key).join(',')})`;
+  return { type: 'sum', pos, neg, value, key };
+}
+
+function makeProduct(num, den) {
+  num = [...num].sort(byKey);
+  den = [...den].sort(byKey);
+  const value = divide(
+    num.reduce((acc, n) => multiply(acc, n.value), fraction(1)),
+    den.reduce((acc, n) => multiply(acc, n.value), fraction(1))
+  );
+  const key = `(*${num.map(n => n.key).join(',')}/${den.map(n => n.key).join(',')})`;
+  return { type: 'product', num, den, value, key };
+}
+
+function makeApply(op, args, value) {
+  const key = `(${op}:${args.map(n => n.key).join(',')})`;
+  return { type: 'apply', op, args, value, key };
+}
+
+const terms = (node) => (node.type === 'sum' ? [node.pos, node.neg] : [[node], []]);
+const factors = (node) => (node.type === 'product' ? [node.num, node.den] : [[node], []]);
+
+// Direct children of a normalized node
+export function childNodes(node) {
+  if (node.type === 'sum') return [...node.pos, ...node.neg];
+  if (node.type === 'product') return [...node.num, ...node.den];
+  if (node.type === 'apply') return node.args;
+  return [];
+}
+
+// Combine two normalized nodes with any operation from moves.js; unary
+// operations ignore b. Returns null for division by zero or an extra
+// operation that can't be applied.
+export function combine(a, b, op) {
+  switch (op) {
+    case '+': {
+      const [aPos, aNeg] = terms(a);
+      const [bPos, bNeg] = terms(b);
+      return makeSum([...aPos, ...bPos], [...aNeg, ...bNeg]);
+    }
+    case '-': {
+      const [aPos, aNeg] = terms(a);
+      const [bPos, bNeg] = terms(b);
+      return makeSum([...aPos, ...bNeg], [...aNeg, ...bPos]);
+    }
+    case '*': {
+      const [aNum, aDen] = factors(a);
+      const [bNum, bDen] = factors(b);
+      return makeProduct([...aNum, ...bNum], [...aDen, ...bDen]);
+    }
+    case '/': {
+      if (isZero(b.value)) return null;
+      const [aNum, aDen] = factors(a);
+      const [bNum, bDen] = factors(b);
+      return makeProduct([...aNum, ...bDen], [...aDen, ...bNum]);
+    }
+    default: {
+      const value = applyOperation(a.value, b?.value, op);
+      return value && makeApply(op, isUnary(op) ? [a] : [a, b], value);
+    }
+  }
+}
+
+// Larger operands first reads more naturally: "8*3" rather than "3*8"
+const forDisplay = (nodes) => [...nodes].sort((a, b) => compare(b.value, a.value) || byKey(a, b));
+
+// Render a normalized tree using the same operator symbols as the board
+export function formatExpression(node, parentType = null) {
+  if (node.type === 'num') return formatFraction(node.value);
+  if (node.type === 'apply') return formatApply(node);
+
+  let text;
+  if (node.type === 'sum') {
+    text = forDisplay(node.pos).map(n => formatExpression(n, 'sum')).join('+');
+    forDisplay(node.neg).forEach(n => { text += `-${formatExpression(n, 'sum')}`; });
+    return parentType === 'product' ? `(${text})` : text;
+  }
+
+  text = forDisplay(node.num).map(n => formatExpression(n, 'product')).join('*');
+  forDisplay(node.den).forEach(n => {
+    const inner = formatExpression(n, 'product');
+    text += n.type === 'product' ? `/(${inner})` : `/${inner}`;
+  });
+  return text;
+}
+
+// Extra operations bind tighter than + - * /, and anything but a dealt card
+// is bracketed inside them: "√(5+4)", "4!", "2^(1+2)", "1‖2"
+function formatApply(node) {
+  const [a, b] = node.args.map(n => (n.type === 'num' ? formatExpression(n) : `(${formatExpression(n)})`));
+  switch (node.op) {
+    case 'sqrt': return `√${a}`;
+    case '!': return `${a}!`;
+    case 'concat': return `${a}‖${b}`;
+    default: return `${a}${node.op}${b}`;
+  }
+}
+
+// Enumerate every distinct way to reach the target with the given cards,
+// optionally with extra operations from moves.js. Returns [{ expression, tree }]
+// sorted by expression.
+export function findSolutions(cards, target = TARGET, operations = []) {
+  const leaves = cards.map((card, i) => makeLeaf(cardValue(card), i));
+  const goal = fraction(target);
+  const binary = operations.filter(op => !isUnary(op));
+  const unary = operations.filter(isUnary);
+  const solutions = new Map();
+  const visited = new Set();
+
+  function search(nodes, unaryLeft) {
+    if (nodes.length === 1) {
+      const [node] = nodes;
+      if (equals(node.value, goal) && !solutions.has(node.key)) {
+        solutions.set(node.key, { expression: formatExpression(node), tree: node });
+      }
+      if (unary.length === 0) return;
+    }
+
+    // The same multiset of subtrees always leads to the same solutions
+    const stateKey = `${unaryLeft}|${nodes.map(n => n.key).sort().join(';')}`;
+    if (visited.has(stateKey)) return;
+    visited.add(stateKey);
+
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const a = nodes[i];
+        const b = nodes[j];
+        const remaining = nodes.filter((_, idx) => idx !== i && idx !== j);
+
+        const results = [
+          combine(a, b, '+'),
+          combine(a, b, '*'),
+          combine(a, b, '-'),
+          combine(b, a, '-'),
+          combine(a, b, '/'),
+          combine(b, a, '/'),
+          ...binary.flatMap(op => [combine(a, b, op), combine(b, a, op)])
+        ];
+
+        for (const result of results) {
+          if (result !== null) search([...remaining, result], unaryLeft);
+        }
+      }
+    }
+
+    // sqrt and ! on any one node, skipping the ones that change nothing (1!, √1)
+    if (unaryLeft === 0) return;
+    nodes.forEach((node, i) => {
+      const others = nodes.filter((_, idx) => idx !== i);
+      unary.forEach(op => {
+        const result = combine(node, null, op);
+        if (result !== null && !equals(result.value, node.value)) search([...others, result], unaryLeft - 1);
+      });
+    });
+  }
+
+  search(leaves, MAX_UNARY_MOVES);
+  return [...solutions.values()].sort((a, b) => a.expression.localeCompare(b.expression));
+}
+
+// 24 Game Solver - short-circuits on the first solution found
+export function canMake24(cards, target = TARGET, operations = []) {
+  const goal = fraction(target);
+  const binary = operations.filter(op => !isUnary(op));
+  const unary = operations.filter(isUnary);
+  const deadEnds = new Set(); // Multisets of values already known to fail
+
+  function solve(numbers, unaryLeft) {
+    if (numbers.length === 1 && equals(numbers[0], goal)) return true;
+    if (numbers.length === 1 && unary.length === 0) return false;
+
+    const stateKey = `${unaryLeft}|${numbers.map(formatFraction).sort().join(';')}`;
+    if (deadEnds.has(stateKey)) return false;
+
+    for (let i = 0; i < numbers.length; i++) {
+      for (let j = 0; j < numbers.length; j++) {
+        if (i === j) continue;
+
+        const a = numbers[i];
+        const b = numbers[j];
+        const remaining = numbers.filter((_, idx) => idx !== i && idx !== j);
+
+        const results = [
+          add(a, b),
+          subtract(a, b),
+          multiply(a, b),
+          divide(a, b),
+          ...binary.map(op => applyOperation(a, b, op))
+        ];
+
+        for (const result of results) {
+          if (result !== null && solve([...remaining, result], unaryLeft)) {
+            return true;
+          }
+        }
+      }
+    }
+
+    if (unaryLeft > 0) {
+      for (let i = 0; i < numbers.length; i++) {
+        const remaining = numbers.filter((_, idx) => idx !== i);
+        for (const op of unary) {
+          const result = applyOperation(numbers[i], null, op);
+          if (result !== null && !equals(result, numbers[i]) && solve([...remaining, result], unaryLeft - 1)) {
+            return true;
+          }
+        }
+      }
+    }
+    deadEnds.add(stateKey);
+    return false;
+  }
+
+  return solve(cards.map(cardValue), MAX_UNARY_MOVES);
+}
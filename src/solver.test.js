@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { findSolutions, canMake24 } from './solver.js';
+
+const hand = (...ranks) => ranks.map((rank, i) => ({ rank, suit: '♠', id: `${rank}-${i}`, isOriginal: true }));
+
+describe('canMake24', () => {
+  it('finds hands that need fractions', () => {
+    expect(canMake24(hand('3', '3', '8', '8'))).toBe(true);
+    expect(canMake24(hand('A', '5', '5', '5'))).toBe(true);
+  });
+
+  it('rejects unsolvable hands', () => {
+    expect(canMake24(hand('A', 'A', 'A', 'A'))).toBe(false);
+  });
+
+  it('takes other targets and extra operations', () => {
+    expect(canMake24(hand('A', 'A', 'A', 'A'), 4)).toBe(true);
+    expect(canMake24(hand('4'))).toBe(false);
+    expect(canMake24(hand('4'), 24, ['!'])).toBe(true);
+  });
+});
+
+describe('findSolutions', () => {
+  it('lists the only solution to 3 3 8 8', () => {
+    expect(findSolutions(hand('3', '3', '8', '8')).map(s => s.expression)).toEqual(['8/(3-8/3)']);
+  });
+
+  it('counts reorderings of the same expression once', () => {
+    const expressions = findSolutions(hand('A', '2', '3', '4')).map(s => s.expression);
+    expect(new Set(expressions).size).toBe(expressions.length);
+    expect(expressions).toHaveLength(4);
+  });
+
+  it('agrees with canMake24', () => {
+    expect(findSolutions(hand('A', 'A', 'A', 'A'))).toEqual([]);
+  });
+});
@@ -0,0 +1,154 @@
+// Tournament brackets, shared by the client and the verifyWinClaim Cloud Function.
+// A tournament lives under tournaments/<code>:
+//   { organizer, name, format, pointsToWin, difficulty, status, players, matches, champion }
+// Each match is
+//   { id, stage, index, playerA, playerB, roomId, winner, scores, bye }
+// where stage counts from 1. Missing players are simply absent, since
+// Firebase drops nulls.
+
+export const TOURNAMENT_FORMATS = ['elimination', 'roundRobin'];
+
+export const FORMAT_LABELS = {
+  elimination: 'Knockout',
+  roundRobin: 'Round robin'
+};
+
+export const MIN_TOURNAMENT_PLAYERS = 2;
+export const MAX_TOURNAMENT_PLAYERS = 16;
+
+const matchId = (stage, index) => `r${stage}m${index}`;
+
+const newMatch = (stage, index, playerA = null, playerB = null) => ({
+  id: matchId(stage, index),
+  stage,
+  index,
+  playerA,
+  playerB,
+  winner: null
+});
+
+// Standard bracket order, so the top seeds can only meet late:
+// 4 slots -> [0, 3, 1, 2]
+function bracketOrder(size) {
+  if (size === 1) return [0];
+  return bracketOrder(size / 2).flatMap(seed => [seed, size - 1 - seed]);
+}
+
+function eliminationMatches(playerIds) {
+  let size = 1;
+  while (size < playerIds.length) size *= 2;
+
+  const slots = bracketOrder(size).map(seed => playerIds[seed] ?? null);
+  const matches = [];
+  for (let i = 0; i < size / 2; i++) {
+    matches.push(newMatch(1, i, slots[2 * i], slots[2 * i + 1]));
+  }
+  for (let stage = 2, count = size / 4; count >= 1; stage++, count /= 2) {
+    for (let i = 0; i < count; i++) matches.push(newMatch(stage, i));
+  }
+
+  // Top seeds without an opponent go straight through
+  matches.filter(m => m.stage === 1 && (!m.playerA || !m.playerB)).forEach(m => {
+    m.winner = m.playerA || m.playerB;
+    m.bye = true;
+  });
+  return matches;
+}
+
+// Circle method: one player stays put while the rest rotate, so everyone
+// meets everyone once. An odd field gets a bye each stage.
+function roundRobinMatches(playerIds) {
+  const ring = playerIds.length % 2 ? [...playerIds, null] : [...playerIds];
+  const matches = [];
+
+  for (let stage = 1; stage < ring.length; stage++) {
+    let index = 0;
+    for (let i = 0; i < ring.length / 2; i++) {
+      const a = ring[i];
+      const b = ring[ring.length - 1 - i];
+      if (a && b) matches.push(newMatch(stage, index++, a, b));
+    }
+    ring.splice(1, 0, ring.pop());
+  }
+  return matches;
+}
+
+// Fill later knockout stages from the winners of earlier ones
+function advanceWinners(matches) {
+  const byId = Object.fromEntries(Object.values(matches).map(m => [m.id, m]));
+  Object.values(byId)
+    .sort((a, b) => a.stage - b.stage)
+    .forEach(m => {
+      const next = byId[matchId(m.stage + 1, Math.floor(m.index / 2))];
+      if (!m.winner || !next) return;
+      next[m.index % 2 === 0 ? 'playerA' : 'playerB'] = m.winner;
+    });
+}
+
+// Matches keyed by id, with seeded players in the order given
+export function createBracket(playerIds, format) {
+  const matches = format === 'roundRobin' ? roundRobinMatches(playerIds) : eliminationMatches(playerIds);
+  const keyed = Object.fromEntries(matches.map(m => [m.id, m]));
+  if (format !== 'roundRobin') advanceWinners(keyed);
+  return keyed;
+}
+
+// A match can be played once both players are known and neither still has
+// an unfinished match in an earlier stage
+export function isMatchReady(tournament, match) {
+  if (!match.playerA || !match.playerB || match.winner) return false;
+  return !Object.values(tournament.matches || {}).some(m =>
+    m.stage < match.stage && !m.winner &&
+    [m.playerA, m.playerB].some(p => p === match.playerA || p === match.playerB)
+  );
+}
+
+export const readyMatches = (tournament) =>
+  Object.values(tournament.matches || {}).filter(m => isMatchReady(tournament, m));
+
+// Round-robin table: most wins first, then the best points difference
+export function standings(tournament) {
+  const rows = Object.fromEntries(Object.keys(tournament.players || {}).map(id => [
+    id,
+    { id, name: tournament.players[id].name, played: 0, wins: 0, pointsFor: 0, pointsAgainst: 0 }
+  ]));
+
+  Object.values(tournament.matches || {}).forEach(m => {
+    if (!m.winner || m.bye) return;
+    [m.playerA, m.playerB].forEach(id => {
+      const opponent = id === m.playerA ? m.playerB : m.playerA;
+      if (!rows[id]) return;
+      rows[id].played++;
+      if (m.winner === id) rows[id].wins++;
+      rows[id].pointsFor += m.scores?.[id] || 0;
+      rows[id].pointsAgainst += m.scores?.[opponent] || 0;
+    });
+  });
+
+  return Object.values(rows).sort((a, b) =>
+    (b.wins - a.wins) || ((b.pointsFor - b.pointsAgainst) - (a.pointsFor - a.pointsAgainst))
+  );
+}
+
+// Record a finished match, move the winner on and crown a champion once the
+// last match is done. Returns the updated tournament.
+export function recordResult(tournament, id, winner, scores) {
+  const match = tournament.matches?.[id];
+  if (!match || match.winner) return tournament;
+
+  match.winner = winner;
+  match.scores = scores;
+
+  const matches = Object.values(tournament.matches);
+  if (tournament.format === 'roundRobin') {
+    if (matches.every(m => m.winner)) tournament.champion = standings(tournament)[0].id;
+  } else {
+    advanceWinners(tournament.matches);
+    const lastStage = Math.max(...matches.map(m => m.stage));
+    const final = matches.find(m => m.stage === lastStage);
+    if (final.winner) tournament.champion = final.winner;
+  }
+
+  if (tournament.champion) tournament.status = 'finished';
+  return tournament;
+}
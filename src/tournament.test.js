@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { createBracket, readyMatches, recordResult, standings } from './tournament.js';
+
+const newTournament = (players, format) => ({
+  format,
+  status: 'running',
+  players: Object.fromEntries(players.map(id => [id, { name: id }])),
+  matches: createBracket(players, format)
+});
+
+describe('knockout brackets', () => {
+  it('seeds the top players apart', () => {
+    const { r1m0, r1m1 } = createBracket(['p1', 'p2', 'p3', 'p4'], 'elimination');
+    expect([r1m0.playerA, r1m0.playerB]).toEqual(['p1', 'p4']);
+    expect([r1m1.playerA, r1m1.playerB]).toEqual(['p2', 'p3']);
+  });
+
+  it('gives top seeds a bye into the next stage', () => {
+    const matches = createBracket(['p1', 'p2', 'p3'], 'elimination');
+    expect(matches.r1m0).toMatchObject({ playerA: 'p1', winner: 'p1', bye: true });
+    expect(matches.r2m0.playerA).toBe('p1');
+  });
+
+  it('moves winners on and crowns a champion', () => {
+    const tournament = newTournament(['p1', 'p2', 'p3', 'p4'], 'elimination');
+    expect(readyMatches(tournament).map(m => m.id)).toEqual(['r1m0', 'r1m1']);
+
+    recordResult(tournament, 'r1m0', 'p4', { p1: 1, p4: 3 });
+    recordResult(tournament, 'r1m1', 'p2', { p2: 3, p3: 0 });
+    expect(tournament.matches.r2m0).toMatchObject({ playerA: 'p4', playerB: 'p2' });
+    expect(readyMatches(tournament).map(m => m.id)).toEqual(['r2m0']);
+
+    recordResult(tournament, 'r2m0', 'p2', { p2: 3, p4: 2 });
+    expect(tournament.champion).toBe('p2');
+    expect(tournament.status).toBe('finished');
+  });
+
+  it('ignores a second result for the same match', () => {
+    const tournament = newTournament(['p1', 'p2'], 'elimination');
+    recordResult(tournament, 'r1m0', 'p1', { p1: 3, p2: 0 });
+    recordResult(tournament, 'r1m0', 'p2', { p1: 0, p2: 3 });
+    expect(tournament.champion).toBe('p1');
+  });
+});
+
+describe('round-robin brackets', () => {
+  it('pairs everyone once', () => {
+    const matches = Object.values(createBracket(['p1', 'p2', 'p3', 'p4', 'p5'], 'roundRobin'));
+    const pairs = matches.map(m => [m.playerA, m.playerB].sort().join());
+    expect(pairs).toHaveLength(10);
+    expect(new Set(pairs).size).toBe(10);
+  });
+
+  it('ranks by wins, then points difference', () => {
+    const tournament = newTournament(['p1', 'p2', 'p3'], 'roundRobin');
+    Object.values(tournament.matches).forEach(m => {
+      const winner = [m.playerA, m.playerB].includes('p3') ? 'p3' : 'p1';
+      const loser = winner === m.playerA ? m.playerB : m.playerA;
+      recordResult(tournament, m.id, winner, { [winner]: 3, [loser]: 1 });
+    });
+    expect(standings(tournament).map(row => row.id)).toEqual(['p3', 'p1', 'p2']);
+    expect(tournament.champion).toBe('p3');
+  });
+});
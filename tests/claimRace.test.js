@@ -0,0 +1,122 @@
+// Runs against the Firebase emulators with `npm run test:emulator`, which
+// starts the database and the verifyWinClaim function. Skipped otherwise.
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { initializeTestEnvironment, assertFails } from '@firebase/rules-unit-testing';
+import { ref, set, get, update, serverTimestamp } from 'firebase/database';
+import { dealCards } from '../src/dealer.js';
+import { findSolutions } from '../src/solver.js';
+import { parseExpression } from '../src/expression.js';
+
+const PROJECT_ID = 'demo-24-game';
+const DATABASE_URL = `https://${PROJECT_ID}-default-rtdb.firebaseio.com`;
+const ROOM = 'RACE01';
+const FORGED_ROOM = 'FORGE1';
+const LATE_ROOM = 'LATE01';
+const CLAIM_TIMEOUT = 15000;
+
+// verifyWinClaim re-deals the hand from the seed, so the room holds the real deal
+const originalCards = dealCards('race', 1, 'medium');
+const solution = parseExpression(findSolutions(originalCards)[0].expression, originalCards).moves;
+
+const player = (id) => ({ id, name: id, score: 0, ready: false, online: true });
+
+const room = {
+  host: 'alice',
+  players: { alice: player('alice'), bob: player('bob') },
+  originalCards,
+  seed: 'race',
+  difficulty: 'medium',
+  maxPlayers: 2,
+  playerCount: 2,
+  gameStarted: true,
+  roundNumber: 1,
+  clocked: false,
+  createdAt: Date.now(),
+  lastActivityAt: Date.now()
+};
+
+describe.skipIf(!process.env.FIREBASE_DATABASE_EMULATOR_HOST)('claims on the emulator', () => {
+  let testEnv;
+  const asAdmin = (write) => testEnv.withSecurityRulesDisabled(ctx => write(ctx.database(DATABASE_URL)));
+  const databaseFor = (uid) => testEnv.authenticatedContext(uid).database(DATABASE_URL);
+
+  // Wait for verifyWinClaim to decide every listed player's claim
+  const decidedRoom = async (code, uids) => {
+    let data;
+    for (const start = Date.now(); Date.now() - start < CLAIM_TIMEOUT;) {
+      await asAdmin(async db => { data = (await get(ref(db, `rooms/${code}`))).val(); });
+      if (uids.every(uid => data.claims?.[uid]?.status)) break;
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    return data;
+  };
+
+  beforeAll(async () => {
+    const [host, port] = process.env.FIREBASE_DATABASE_EMULATOR_HOST.split(':');
+    testEnv = await initializeTestEnvironment({ projectId: PROJECT_ID, database: { host, port: Number(port) } });
+    await asAdmin(db => update(ref(db, 'rooms'), {
+      [ROOM]: room,
+      [FORGED_ROOM]: room,
+      [LATE_ROOM]: { ...room, clockDeadline: Date.now() - 1000 }
+    }));
+  });
+
+  afterAll(async () => {
+    await asAdmin(db => update(ref(db, 'rooms'), { [ROOM]: null, [FORGED_ROOM]: null, [LATE_ROOM]: null }));
+    await testEnv.cleanup();
+  });
+
+  it('keeps players from dealing or declaring a winner themselves', async () => {
+    await assertFails(update(ref(databaseFor('bob'), `rooms/${ROOM}`), { originalCards: originalCards.slice(0, 1) }));
+    await assertFails(set(ref(databaseFor('bob'), `rooms/${ROOM}/winner`), 'bob'));
+    await assertFails(set(ref(databaseFor('bob'), `rooms/${ROOM}/playerCount`), 1));
+    await assertFails(set(ref(databaseFor('bob'), `rooms/${ROOM}/playerCount`), null));
+    await assertFails(set(ref(databaseFor('bob'), `rooms/${ROOM}/progress`), null));
+  });
+
+  it('scores only one of two claims made at the same time', async () => {
+    await Promise.all(['alice', 'bob'].map(uid =>
+      set(ref(databaseFor(uid), `rooms/${ROOM}/claims/${uid}`), { round: 1, moves: solution, submittedAt: serverTimestamp() })
+    ));
+
+    const data = await decidedRoom(ROOM, ['alice', 'bob']);
+    const statuses = [data.claims.alice.status, data.claims.bob.status];
+    expect(statuses.sort()).toEqual(['accepted', 'late']);
+
+    const winner = data.claims.alice.status === 'accepted' ? 'alice' : 'bob';
+    const loser = winner === 'alice' ? 'bob' : 'alice';
+    expect(data.winner).toBe(winner);
+    expect(data.players[winner].score).toBe(1);
+    expect(data.players[loser].score).toBe(0);
+  }, CLAIM_TIMEOUT + 5000);
+
+  it('keeps the round won until the host deals the next one', async () => {
+    const { winner } = (await get(ref(databaseFor('alice'), `rooms/${ROOM}`))).val();
+    const loser = winner === 'alice' ? 'bob' : 'alice';
+
+    await assertFails(set(ref(databaseFor(loser), `rooms/${ROOM}/winner`), null));
+    await assertFails(set(ref(databaseFor('alice'), `rooms/${ROOM}/winner`), null));
+    await assertFails(set(ref(databaseFor(loser), `rooms/${ROOM}/claims/${loser}`), {
+      round: 1, moves: solution, submittedAt: serverTimestamp()
+    }));
+  });
+
+  it('rejects a claim on a hand the host dealt by hand', async () => {
+    const forged = originalCards.map(card => ({ ...card, value: { numerator: 6, denominator: 1 } }));
+    const moves = parseExpression(findSolutions(forged)[0].expression, forged).moves;
+    await update(ref(databaseFor('alice'), `rooms/${FORGED_ROOM}`), { originalCards: forged });
+    await set(ref(databaseFor('alice'), `rooms/${FORGED_ROOM}/claims/alice`), { round: 1, moves, submittedAt: serverTimestamp() });
+
+    const data = await decidedRoom(FORGED_ROOM, ['alice']);
+    expect(data.claims.alice).toMatchObject({ status: 'rejected', reason: 'Cards do not match the deal' });
+    expect(data.winner).toBeUndefined();
+  }, CLAIM_TIMEOUT + 5000);
+
+  it('rejects a claim made after the deadline', async () => {
+    await set(ref(databaseFor('bob'), `rooms/${LATE_ROOM}/claims/bob`), { round: 1, moves: solution, submittedAt: serverTimestamp() });
+
+    const data = await decidedRoom(LATE_ROOM, ['bob']);
+    expect(data.claims.bob).toMatchObject({ status: 'rejected', reason: 'Time was up' });
+    expect(data.players.bob.score).toBe(0);
+  }, CLAIM_TIMEOUT + 5000);
+});